@@ -0,0 +1,299 @@
+// hb-hue-tools/lib/BridgeState.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+
+import { EventEmitter, once } from 'node:events'
+
+import { OptionParser } from 'hb-lib-tools/OptionParser'
+
+import { EventStreamClient } from 'hb-hue-tools/EventStreamClient'
+import { HueClient } from 'hb-hue-tools/HueClient'
+import { HueResource } from 'hb-hue-tools/HueResource'
+
+// Keys of an event stream notification that identify the resource.
+const referenceKeys = ['id', 'id_v1', 'owner', 'type']
+
+// Return the attributes of newValue that differ from oldValue, or undefined
+// when there are no differences.
+// When newValue is complete, attributes of oldValue missing from newValue
+// are reported as removed, with value null.
+function diff (oldValue, newValue, complete = false) {
+  if (
+    newValue == null || typeof newValue !== 'object' || Array.isArray(newValue) ||
+    oldValue == null || typeof oldValue !== 'object' || Array.isArray(oldValue)
+  ) {
+    return JSON.stringify(oldValue) === JSON.stringify(newValue)
+      ? undefined
+      : newValue
+  }
+  let result
+  for (const key in newValue) {
+    const value = diff(oldValue[key], newValue[key], complete)
+    if (value !== undefined) {
+      if (result == null) {
+        result = {}
+      }
+      result[key] = value
+    }
+  }
+  if (complete) {
+    for (const key in oldValue) {
+      if (newValue[key] === undefined && oldValue[key] !== undefined) {
+        if (result == null) {
+          result = {}
+        }
+        result[key] = null
+      }
+    }
+  }
+  return result
+}
+
+// Remove the attributes of target that are missing from value.
+function prune (target, value) {
+  for (const key in target) {
+    if (value[key] === undefined) {
+      delete target[key]
+    } else if (
+      target[key] != null && typeof target[key] === 'object' &&
+      !Array.isArray(target[key]) &&
+      value[key] != null && typeof value[key] === 'object'
+    ) {
+      prune(target[key], value[key])
+    }
+  }
+}
+
+/** Live mirror of the Hue API v2 resources of a Hue bridge.
+  *
+  * The state is loaded once from the Hue bridge, and then kept in sync by
+  * applying the `update`, `add`, and `delete` notifications of the event
+  * stream.
+  * On each reconnect of the event stream, the state is re-loaded and
+  * reconciled, so changes made while the event stream was down aren't lost.
+  * @extends EventEmitter
+  */
+class BridgeState extends EventEmitter {
+  /** Create a new bridge state.
+    * @param {HueClient} client - The client to the Hue bridge.
+    * @param {object} params - Parameters.
+    * @param {integer} [params.retryTime=10] - Time (in seconds) to try and
+    * reconnect when the event stream connection has been closed.
+    */
+  constructor (client, params = {}) {
+    super()
+    if (!(client instanceof HueClient)) {
+      throw new TypeError('client: not a HueClient')
+    }
+    this._options = {
+      client,
+      retryTime: 10
+    }
+    const optionParser = new OptionParser(this._options)
+    optionParser
+      .intKey('retryTime', 0, 120)
+      .parse(params)
+    this._resources = {}
+    this.eventStream = new EventStreamClient(client, {
+      raw: true,
+      retryTime: this._options.retryTime,
+      version: 2
+    })
+    this.eventStream
+      .on('error', (error) => { this.emit('error', error) })
+      .on('listening', async () => {
+        try {
+          await this.#load()
+        } catch (error) { this.emit('error', error) }
+      })
+      .on('notification', (container) => {
+        if (this.loading != null) {
+          this.loading.buffer.push(container)
+          return
+        }
+        this.#apply(container)
+      })
+  }
+
+  /** Map of resource ID to resource.
+    * @type {object}
+    * @readonly
+    */
+  get resources () { return this._resources }
+
+  /** Get a resource.
+    * @param {string} type - The resource type, e.g. `light`.
+    * @param {string} id - The resource ID.
+    * @returns {?HueResource} The resource.
+    */
+  get (type, id) {
+    const resource = this._resources[id]
+    return resource?.type === type ? resource : null
+  }
+
+  /** Get all resources of a type.
+    * @param {string} type - The resource type, e.g. `light`.
+    * @returns {HueResource[]} The resources.
+    */
+  ofType (type) {
+    return Object.values(this._resources).filter((resource) => {
+      return resource.type === type
+    })
+  }
+
+  /** Open the event stream and load the state from the Hue bridge.
+    * @throws {Error} In case of error.
+    */
+  async init () {
+    this.eventStream.listen()
+    await once(this, 'loaded')
+  }
+
+  /** Close the event stream.
+    */
+  async close () {
+    this.loading?.controller.abort()
+    delete this.loading
+    await this.eventStream.close()
+  }
+
+  // Load the resources from the Hue bridge and reconcile them with the
+  // current state.
+  // Notifications received while loading are buffered and applied afterwards.
+  // A reload cancels any earlier reload still in progress, including its
+  // buffer: the resources loaded by the new reload already reflect these
+  // notifications.
+  async #load () {
+    this.loading?.controller.abort()
+    const load = { buffer: [], controller: new AbortController() }
+    this.loading = load
+    const initial = !this.loaded
+    try {
+      const list = await this._options.client.get(
+        '/resource', { signal: load.controller.signal }
+      )
+      if (this.loading !== load) {
+        return
+      }
+      const ids = {}
+      for (const data of list) {
+        ids[data.id] = true
+        const resource = this._resources[data.id]
+        if (resource == null) {
+          this.#add(data, !initial)
+        } else {
+          this.#update(resource, data, true)
+        }
+      }
+      for (const id in this._resources) {
+        if (!ids[id]) {
+          this.#delete(id)
+        }
+      }
+    } catch (error) {
+      if (this.loading !== load) {
+        return // cancelled
+      }
+      throw error
+    } finally {
+      if (this.loading === load) {
+        delete this.loading
+        for (const container of load.buffer) {
+          this.#apply(container)
+        }
+      }
+    }
+    this.loaded = true
+    /** Emitted when the state has been (re-)loaded from the Hue bridge.
+      * @event BridgeState#loaded
+      * @param {boolean} initial - Whether this was the initial load.
+      */
+    this.emit('loaded', initial)
+  }
+
+  #apply (container) {
+    for (const obj of container) {
+      for (const data of obj.data ?? []) {
+        switch (obj.type) {
+          case 'add':
+            if (this._resources[data.id] == null) {
+              this.#add(data)
+            }
+            break
+          case 'delete':
+            if (this._resources[data.id] != null) {
+              this.#delete(data.id)
+            }
+            break
+          case 'update': {
+            const resource = this._resources[data.id]
+            if (resource != null) {
+              const attributes = {}
+              for (const key in data) {
+                if (!referenceKeys.includes(key)) {
+                  attributes[key] = data[key]
+                }
+              }
+              this.#update(resource, attributes)
+            }
+            break
+          }
+          default:
+            break
+        }
+      }
+    }
+  }
+
+  #add (data, emit = true) {
+    const resource = HueResource.create(
+      this._options.client, data, this._resources
+    )
+    this._resources[data.id] = resource
+    if (emit) {
+      /** Emitted when a resource has been added.
+        * @event BridgeState#resourceAdded
+        * @param {string} type - The resource type.
+        * @param {string} id - The resource ID.
+        * @param {HueResource} resource - The resource.
+        */
+      this.emit('resourceAdded', resource.type, resource.id, resource)
+    }
+  }
+
+  // Apply the changed attributes in data to resource.
+  // When data is complete, i.e. loaded from the Hue bridge, attributes
+  // missing from data are removed from the resource.
+  #update (resource, data, complete = false) {
+    const changes = diff(resource.data, data, complete)
+    if (changes !== undefined) {
+      resource.update(changes)
+      if (complete) {
+        prune(resource.data, data)
+      }
+      /** Emitted when attributes of a resource have changed.
+        * @event BridgeState#resourceChanged
+        * @param {string} type - The resource type.
+        * @param {string} id - The resource ID.
+        * @param {object} diff - The changed attributes, with their new values.
+        * Attributes that have been removed, when the state is re-loaded,
+        * have value `null`.
+        */
+      this.emit('resourceChanged', resource.type, resource.id, changes)
+    }
+  }
+
+  #delete (id) {
+    const resource = this._resources[id]
+    delete this._resources[id]
+    /** Emitted when a resource has been deleted.
+      * @event BridgeState#resourceDeleted
+      * @param {string} type - The resource type.
+      * @param {string} id - The resource ID.
+      */
+    this.emit('resourceDeleted', resource.type, id)
+  }
+}
+
+export { BridgeState }
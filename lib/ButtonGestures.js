@@ -0,0 +1,223 @@
+// hb-hue-tools/lib/ButtonGestures.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+
+import { EventEmitter } from 'node:events'
+
+import { OptionParser } from 'hb-lib-tools/OptionParser'
+
+import { EventStreamClient } from './EventStreamClient.js'
+
+// Map API v1 buttonevent to API v2 button_report.event.
+const buttonEvents = ['initial_press', 'repeat', 'short_release', 'long_release']
+
+/** Button gesture recognition.
+  *
+  * Hue switches report raw `initial_press`, `repeat`, `short_release`, and
+  * `long_release` events (`buttonevent` x000 to x003 for API v1).
+  * `ButtonGestures` listens to the
+  * {@link EventStreamClient#event:changed changed} events of an event stream
+  * client, in API v1 or API v2 style, and combines these raw events into
+  * gestures.
+  *
+  * A button is identified by its resource and its button number.
+  * For API v1, the resource is the `/sensors` resource, and the button number
+  * is the first digit of `buttonevent`.
+  * For API v2, the resource is the `/button` resource, and the button number
+  * is its `metadata.control_id`.
+  * @extends EventEmitter
+  */
+class ButtonGestures extends EventEmitter {
+  /** Create a new button gesture recogniser.
+    * @param {EventStreamClient} eventStream - The event stream client.
+    * @param {object} params - Parameters.
+    * @param {integer} [params.multiPressTime=500] - Time (in milliseconds)
+    * after a release to wait for the next press of a double or triple press.
+    * @param {integer} [params.longPressTime=800] - Minimum time (in
+    * milliseconds) between press and release for a long press.
+    */
+  constructor (eventStream, params = {}) {
+    super()
+    if (!(eventStream instanceof EventStreamClient)) {
+      throw new TypeError('eventStream: not an EventStreamClient')
+    }
+    this._options = {
+      eventStream,
+      longPressTime: 800,
+      multiPressTime: 500
+    }
+    const optionParser = new OptionParser(this._options)
+    optionParser
+      .intKey('longPressTime', 100, 10000)
+      .intKey('multiPressTime', 100, 5000)
+      .parse(params)
+    this.buttons = {}
+    this.controlIds = {}
+    this.onChanged = this.#onChanged.bind(this)
+    this.onAdded = this.#onAdded.bind(this)
+    this.onDeleted = this.#onDeleted.bind(this)
+    eventStream
+      .on('changed', this.onChanged)
+      .on('added', this.onAdded)
+      .on('deleted', this.onDeleted)
+  }
+
+  /** Initialise the gesture recogniser.
+    *
+    * For API v2 style events, gets the button numbers from the Hue bridge.
+    */
+  async init () {
+    const eventStream = this._options.eventStream
+    if (eventStream.options.version === 2) {
+      const response = await eventStream.options.client.get('/button')
+      for (const button of response) {
+        this.controlIds[button.id] = button.metadata.control_id
+      }
+    }
+  }
+
+  /** Stop recognising gestures.
+    */
+  destroy () {
+    for (const key in this.buttons) {
+      clearTimeout(this.buttons[key].timer)
+    }
+    this.buttons = {}
+    this._options.eventStream
+      .removeListener('changed', this.onChanged)
+      .removeListener('added', this.onAdded)
+      .removeListener('deleted', this.onDeleted)
+  }
+
+  #onAdded (resource, data) {
+    if (data.type === 'button') {
+      this.controlIds[data.id] = data.metadata.control_id
+    }
+  }
+
+  #onDeleted (resource) {
+    const a = resource.split('/')
+    if (a[1] === 'button') {
+      delete this.controlIds[a[2]]
+    }
+  }
+
+  #onChanged (resource, attributes) {
+    const a = resource.split('/')
+    if (a[1] === 'sensors' && a[3] === 'state') {
+      resource = '/' + a[1] + '/' + a[2]
+      if (attributes.buttonevent != null) {
+        this.#onButtonEvent(
+          resource, Math.floor(attributes.buttonevent / 1000),
+          buttonEvents[attributes.buttonevent % 1000]
+        )
+      }
+      if (attributes.rotaryevent != null && attributes.expectedrotation != null) {
+        this.#rotate(resource, attributes.expectedrotation)
+      }
+    } else if (a[1] === 'button' && attributes.button?.button_report != null) {
+      this.#onButtonEvent(
+        resource, this.controlIds[a[2]] ?? 1,
+        attributes.button.button_report.event
+      )
+    } else if (
+      a[1] === 'relative_rotary' &&
+      attributes.relative_rotary?.rotary_report != null
+    ) {
+      const { rotation } = attributes.relative_rotary.rotary_report
+      this.#rotate(
+        resource, rotation.steps * (rotation.direction === 'clock_wise' ? 1 : -1)
+      )
+    }
+  }
+
+  #onButtonEvent (resource, button, event) {
+    const key = resource + ':' + button
+    if (this.buttons[key] == null) {
+      this.buttons[key] = { count: 0 }
+    }
+    const state = this.buttons[key]
+    const now = Date.now()
+    switch (event) {
+      case 'initial_press':
+        clearTimeout(state.timer)
+        delete state.timer
+        state.pressed = now
+        break
+      case 'short_release':
+      case 'long_release': {
+        const duration = state.pressed == null ? null : now - state.pressed
+        delete state.pressed
+        if (
+          event === 'long_release' ||
+          (duration != null && duration >= this._options.longPressTime)
+        ) {
+          clearTimeout(state.timer)
+          delete this.buttons[key]
+          /** Emitted when a button has been pressed and held.
+            * @event ButtonGestures#longPress
+            * @param {string} resource - The resource of the button.
+            * @param {integer} button - The button number.
+            * @param {?integer} duration - The time (in milliseconds) the
+            * button was held, or `null` when the press was missed.
+            */
+          this.emit('longPress', resource, button, duration)
+          break
+        }
+        state.count++
+        clearTimeout(state.timer)
+        state.timer = setTimeout(() => {
+          delete this.buttons[key]
+          this.#multiPress(resource, button, state.count)
+        }, this._options.multiPressTime)
+        break
+      }
+      default: // repeat, long_press
+        break
+    }
+  }
+
+  #multiPress (resource, button, count) {
+    switch (count) {
+      case 1:
+        /** Emitted when a button has been pressed once.
+          * @event ButtonGestures#singlePress
+          * @param {string} resource - The resource of the button.
+          * @param {integer} button - The button number.
+          */
+        this.emit('singlePress', resource, button)
+        break
+      case 2:
+        /** Emitted when a button has been pressed twice in a row.
+          * @event ButtonGestures#doublePress
+          * @param {string} resource - The resource of the button.
+          * @param {integer} button - The button number.
+          */
+        this.emit('doublePress', resource, button)
+        break
+      default:
+        /** Emitted when a button has been pressed three or more times in a
+          * row.
+          * @event ButtonGestures#triplePress
+          * @param {string} resource - The resource of the button.
+          * @param {integer} button - The button number.
+          * @param {integer} count - The number of presses.
+          */
+        this.emit('triplePress', resource, button, count)
+        break
+    }
+  }
+
+  #rotate (resource, steps) {
+    /** Emitted when a rotary (e.g. of a Tap dial switch) has been turned.
+      * @event ButtonGestures#rotate
+      * @param {string} resource - The resource of the rotary.
+      * @param {integer} steps - The number of steps, positive for clockwise,
+      * negative for counter-clockwise.
+      */
+    this.emit('rotate', resource, steps)
+  }
+}
+
+export { ButtonGestures }
@@ -4,14 +4,135 @@
 // Copyright © 2021-2026 Erik Baauw. All rights reserved.
 
 import { EventEmitter } from 'node:events'
+import { createReadStream, createWriteStream } from 'node:fs'
+import http from 'node:http'
 import https from 'node:https'
+import { createInterface } from 'node:readline'
 
 import { timeout } from 'hb-lib-tools'
 import { OptionParser } from 'hb-lib-tools/OptionParser'
 
 import { HueClient } from './HueClient.js'
+import { LightState } from './LightState.js'
 const { HttpError } = HueClient
 
+// Map API v2 device_software_update state to API v1 swupdate state.
+const swupdateStates = {
+  no_update: 'noupdates',
+  update_pending: 'transferring',
+  ready_to_install: 'readytoinstall',
+  installing: 'installing'
+}
+
+// Convert a list of globs to a regular expression matching any of them.
+// A `*` matches any characters except `/`, `**` matches any characters, and
+// `?` matches a single character except `/`.
+function globsToRegExp (globs) {
+  return new RegExp('^(' + globs.map((glob) => {
+    return glob
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*\*|\*|\?/g, (s) => {
+        return { '**': '.*', '*': '[^/]*', '?': '[^/]' }[s]
+      })
+  }).join('|') + ')$')
+}
+
+// Return the base URL of the event stream of the Hue bridge of client.
+function baseUrl (client) {
+  return (client.url.startsWith('https:') ? 'https://' : 'http://') +
+    client.host
+}
+
+// Parser for a `text/event-stream`, see
+// https://html.spec.whatwg.org/multipage/server-sent-events.html#parsing-an-event-stream.
+// Handles events split over several chunks, several events in one chunk,
+// CR, LF, and CRLF line endings, multi-line data, comments, and a leading BOM.
+class EventStreamParser {
+  constructor (onEvent, onRetry) {
+    this.onEvent = onEvent
+    this.onRetry = onRetry
+    this.reset()
+  }
+
+  // Reset the parser for a new connection.
+  // Note that the last event ID is retained.
+  reset () {
+    this.buffer = ''
+    this.data = []
+    this.event = ''
+    this.start = true
+  }
+
+  // Parse a chunk of (decoded) text.
+  parse (text) {
+    if (this.start && text.length > 0) {
+      this.start = false
+      if (text.charCodeAt(0) === 0xFEFF) {
+        text = text.slice(1)
+      }
+    }
+    this.buffer += text
+    const re = /\r\n|\r|\n/g
+    let match
+    let offset = 0
+    while ((match = re.exec(this.buffer)) != null) {
+      if (match[0] === '\r' && re.lastIndex === this.buffer.length) {
+        break // might be the first half of a CRLF
+      }
+      this.#line(this.buffer.slice(offset, match.index))
+      offset = re.lastIndex
+    }
+    this.buffer = this.buffer.slice(offset)
+  }
+
+  #line (line) {
+    if (line === '') {
+      this.#dispatch()
+      return
+    }
+    if (line[0] === ':') {
+      return // comment
+    }
+    const i = line.indexOf(':')
+    const field = i < 0 ? line : line.slice(0, i)
+    let value = i < 0 ? '' : line.slice(i + 1)
+    if (value[0] === ' ') {
+      value = value.slice(1)
+    }
+    switch (field) {
+      case 'data':
+        this.data.push(value)
+        break
+      case 'event':
+        this.event = value
+        break
+      case 'id':
+        if (!value.includes('\0')) {
+          this.lastEventId = value
+        }
+        break
+      case 'retry':
+        if (/^[0-9]+$/.test(value)) {
+          this.onRetry(parseInt(value))
+        }
+        break
+      default:
+        break
+    }
+  }
+
+  #dispatch () {
+    const data = this.data.join('\n')
+    const event = this.event === '' ? 'message' : this.event
+    const empty = this.data.length === 0
+    this.data = []
+    this.event = ''
+    if (!empty) {
+      this.onEvent({ data, event, id: this.lastEventId })
+    }
+  }
+}
+
 /** Client for Hue API v2 event stream notifications.
   *
   * See the
@@ -20,9 +141,29 @@ const { HttpError } = HueClient
   */
 class EventStreamClient extends EventEmitter {
   /** Create a new web socket client instance.
+    * @param {?HueClient} client - The client for the Hue bridge.<br>
+    * Specify `null` to only {@link EventStreamClient#replay replay()}
+    * recorded notifications.
     * @param {object} params - Parameters.
     * @param {integer} [params.retryTime=10] - Time (in seconds) to try and
-    * reconnect when the server connection has been closed.
+    * reconnect when the server connection has been closed.<br>
+    * A `retry:` hint from the server overrides this time.
+    * Specify `0` not to reconnect.<br>
+    * The time is doubled on each failed attempt, up to `params.maxRetryTime`,
+    * with random jitter.
+    * @param {integer} [params.maxRetryTime=300] - Maximum time (in seconds)
+    * between reconnect attempts.
+    * @param {integer} [params.stallTime=300] - Time (in seconds) without any
+    * data, including keep-alive comments, after which the connection is
+    * considered stalled, and re-opened.<br>
+    * This catches a half-open connection, e.g. after the Hue bridge has
+    * rebooted, at the cost of re-opening an idle connection.
+    * Specify `0` to disable stall detection.
+    * @param {integer} [params.resolveAttempts=3] - Number of failed attempts
+    * to reconnect, after which the client asks
+    * {@link HueClient#resolveHost HueClient.resolveHost()} to find the Hue
+    * bridge, in case it has changed host.<br>
+    * Specify `0` not to find the Hue bridge.
     * @param {boolean} [params.raw=false] - Issue raw events instead of parsing
     * them.<br>
     * When specified, {@link EventStreamClient#event:notification notification}
@@ -32,28 +173,71 @@ class EventStreamClient extends EventEmitter {
     */
   constructor (client, params = {}) {
     super()
-    if (!(client instanceof HueClient)) {
+    if (client != null && !(client instanceof HueClient)) {
       throw new TypeError('client: not a HueClient')
     }
     this.options = {
       client,
+      maxRetryTime: 300,
       retryTime: 10,
+      resolveAttempts: 3,
       resource: '/eventstream/clip/v2',
-      url: 'https://' + client.host,
+      stallTime: 300,
+      url: client == null ? null : baseUrl(client),
       version: 1
     }
     const optionParser = new OptionParser(this.options)
     optionParser
+      .intKey('maxRetryTime', 1, 3600)
       .boolKey('raw')
+      .intKey('resolveAttempts', 0, 100)
       .intKey('retryTime', 0, 120)
+      .intKey('stallTime', 0, 3600)
       .intKey('version', 1, 2)
       .parse(params)
     this.requestId = 0
+    this.attempt = 0
+    this.subscriptions = new Set()
+    this.fullSubscriptions = new Set()
+    this.parser = new EventStreamParser(
+      (event) => { this.#onEvent(event) },
+      (retryTime) => { this.serverRetryTime = retryTime }
+    )
+    client?.on('hostChanged', () => { this.options.url = baseUrl(client) })
+  }
+
+  // Throw an error when the event stream client has been created without a
+  // Hue client.
+  #checkClient (method) {
+    if (this.options.client == null) {
+      throw new Error(`${method}: no HueClient`)
+    }
+  }
+
+  /** Convert a glob, or a list of globs, to a regular expression.
+    *
+    * In a glob, `*` matches any characters except `/`, `**` matches any
+    * characters, and `?` matches a single character except `/`.
+    * @param {string|string[]} globs - The glob(s).
+    * @returns {RegExp} A regular expression matching any of the globs.
+    */
+  static globsToRegExp (globs) {
+    return globsToRegExp(OptionParser.toArray('globs', globs))
   }
 
+  /** The ID of the last event received.
+    *
+    * Sent as `Last-Event-ID` header on reconnect, so the server can resend
+    * missed events.
+    * @type {?string}
+    * @readonly
+    */
+  get lastEventId () { return this.parser.lastEventId }
+
   /** Initialise the event stream client.
     */
   async init () {
+    this.#checkClient('init')
     if (this.options.version === 1 && this.buttonMap == null) {
       // Get the API v2 button IDs
       const response = await this.options.client.get('/button')
@@ -65,25 +249,64 @@ class EventStreamClient extends EventEmitter {
       }
       this.requestId = 1
     }
+    if (this.options.version === 1 && this.lightStates == null) {
+      // Seed the API v1 light states.
+      const response = await this.options.client.get('/light')
+
+      // Build a map of API v1 resource to light state.
+      this.lightStates = {}
+      for (const light of response) {
+        if (light.id_v1 != null) {
+          this.lightStates[light.id_v1] = new LightState(light)
+        }
+      }
+      this.requestId++
+    }
+  }
+
+  // Return the complete, emulated API v1 state, including the changed
+  // attributes.
+  #lightState (resource, state) {
+    if (this.lightStates == null) {
+      this.lightStates = {}
+    }
+    if (this.lightStates[resource] == null) {
+      this.lightStates[resource] = new LightState()
+    }
+    return this.lightStates[resource].update(state)
   }
 
   /** Listen for web socket notifications.
+    *
+    * Over HTTPS, the SSL certificate of the Hue bridge is checked by
+    * {@link HueClient#checkServerIdentity checkServerIdentity()} of the
+    * client, against the fingerprint pinned by the client.
     */
   listen () {
-    this.request = https.request(this.options.url + this.options.resource, {
-      rejectUnauthorized: false,
-      // ca: HueClient.rootCertificate,
+    this.#checkClient('listen')
+    if (this.reconnectTimer != null) {
+      clearTimeout(this.reconnectTimer)
+      delete this.reconnectTimer
+    }
+    const protocol = this.options.url.startsWith('https:') ? https : http
+    const headers = {
+      'hue-application-key': this.options.client.apiKey,
+      Accept: 'text/event-stream'
+    }
+    if (this.lastEventId != null && this.lastEventId !== '') {
+      headers['Last-Event-ID'] = this.lastEventId
+    }
+    const request = protocol.request(this.options.url + this.options.resource, {
+      ca: HueClient.rootCertificates,
       checkServerIdentity: (hostname, cert) => {
         return this.options.client.checkServerIdentity(hostname, cert)
       },
       family: 4,
-      headers: {
-        'hue-application-key': this.options.client.apiKey,
-        Accept: 'text/event-stream'
-      },
+      headers,
       method: 'GET',
       keepAlive: true
     })
+    this.request = request
     const requestInfo = {
       name: this.options.client.name,
       id: ++this.requestId,
@@ -103,59 +326,421 @@ class EventStreamClient extends EventEmitter {
         socket
           .setKeepAlive(true)
           .on('close', async () => {
+            if (this.request !== request) {
+              return // closed by close()
+            }
             try {
               await this.close(true)
             } catch (error) { this.emit('error', error) }
           })
       })
-      .on('response', (response) => {
-        this.emit('response', {
-          statusCode: 200,
-          statusMessage: 'OK',
-          request: requestInfo
-        })
+      .on('response', async (response) => {
+        const { statusCode, statusMessage } = response
+        this.emit('response', { statusCode, statusMessage, request: requestInfo })
+        if (statusCode < 200 || statusCode > 299) {
+          // The bridge refused the event stream, e.g. when it's still
+          // booting: retry, backing off further on each refusal.
+          response.destroy()
+          this.emit('error', new HttpError(
+            `http status ${statusCode} ${statusMessage}`,
+            requestInfo, statusCode, statusMessage
+          ))
+          try {
+            await this.close(true)
+          } catch (error) { this.emit('error', error) }
+          return
+        }
         this.listening = true
         /** Emitted when the connection to the event stream has been opened.
           * @event EventStreamClient#listening
           * @param {string} url - The URL of the event stream.
           */
         this.emit('listening', this.options.url + this.options.resource)
-        let s = ''
+        if (this.attempt > 0) {
+          /** Emitted when the connection to the event stream has been
+            * re-opened after it was closed.
+            * @event EventStreamClient#reconnected
+            * @param {integer} attempt - The number of attempts it took.
+            */
+          this.emit('reconnected', this.attempt)
+          this.attempt = 0
+        }
+        this.parser.reset()
+        this.response = response
+        if (this.intake == null) {
+          this.#watchdog()
+        } else {
+          response.pause()
+        }
         response
-          .on('data', (buffer) => {
+          .setEncoding('utf8')
+          .on('data', (text) => {
+            this.#watchdog()
             try {
-              s += buffer.toString('utf-8')
-              if (s.slice(-2) !== '\n\n') {
-                return
-              }
-              s = s.trim()
-              this.emit('data', s)
-              const lines = s.split('\n')
-              s = ''
-              for (const line of lines) {
-                const a = line.split(': ')
-                if (a[0] === 'data') {
-                  const container = JSON.parse(a[1])
-                  if (this.options.raw) {
-                    this.emit('notification', container)
-                  } else {
-                    this._parseContainer(container)
-                  }
-                }
-              }
+              this.parser.parse(text)
             } catch (error) { this.emit('error', error) }
           })
       })
     this.request.end()
   }
 
+  // (Re-)start the stall watchdog.
+  #watchdog () {
+    if (this.options.stallTime === 0) {
+      return
+    }
+    clearTimeout(this.watchdogTimer)
+    this.watchdogTimer = setTimeout(async () => {
+      delete this.watchdogTimer
+      /** Emitted when no data has been received from the event stream for
+        * `params.stallTime` seconds.
+        * The connection is closed and re-opened.
+        * @event EventStreamClient#stalled
+        * @param {string} url - The URL of the event stream.
+        */
+      this.emit('stalled', this.options.url + this.options.resource)
+      try {
+        await this.close(true)
+      } catch (error) { this.emit('error', error) }
+    }, this.options.stallTime * 1000)
+  }
+
+  // Return the time (in milliseconds) to wait before the given reconnect
+  // attempt: exponential backoff, capped and with jitter.
+  #retryDelay (attempt) {
+    const retryTime = this.serverRetryTime ?? this.options.retryTime * 1000
+    const maxRetryTime = Math.max(
+      this.options.maxRetryTime * 1000, retryTime
+    )
+    const delay = Math.min(retryTime * 2 ** (attempt - 1), maxRetryTime)
+    return Math.round(delay / 2 + Math.random() * delay / 2)
+  }
+
+  #onEvent (event) {
+    try {
+      /** Emitted for each server-sent event received.
+        * @event EventStreamClient#data
+        * @param {string} data - The event data.
+        * @param {string} event - The event type.
+        * @param {?string} id - The event ID.
+        */
+      this.emit('data', event.data, event.event, event.id)
+      const container = JSON.parse(event.data)
+      this.recorder?.write(JSON.stringify({
+        time: new Date().toISOString(), id: event.id, container
+      }) + '\n')
+      this.#handleContainer(container)
+    } catch (error) { this.emit('error', error) }
+  }
+
+  #handleContainer (container) {
+    if (this.options.raw) {
+      this.emit('notification', container)
+    } else {
+      this._parseContainer(container)
+    }
+  }
+
+  /** Record the event stream notifications to a file.
+    *
+    * Each notification container is appended to the file as a line of JSON,
+    * with the time it was received, and its event ID.
+    * For API v1 style events, the button map and the lights are recorded
+    * first, so button events and light states can be replayed without a Hue
+    * bridge.
+    * @param {string} filename - The file to record to.
+    */
+  async record (filename) {
+    this.#checkClient('record')
+    OptionParser.toString('filename', filename, true)
+    await this.stopRecording()
+    const header = { time: new Date().toISOString() }
+    if (this.options.version === 1) {
+      await this.init()
+      header.buttonMap = this.buttonMap
+      header.lights = await this.options.client.get('/light')
+    }
+    const recorder = createWriteStream(filename, { flags: 'a' })
+    await new Promise((resolve, reject) => {
+      recorder.once('open', resolve).once('error', reject)
+    })
+    recorder.on('error', (error) => { this.emit('error', error) })
+    if (header.buttonMap != null) {
+      recorder.write(JSON.stringify(header) + '\n')
+    }
+    this.recorder = recorder
+  }
+
+  /** Stop recording the event stream notifications.
+    */
+  async stopRecording () {
+    if (this.recorder != null) {
+      const recorder = this.recorder
+      delete this.recorder
+      await new Promise((resolve) => { recorder.end(resolve) })
+    }
+  }
+
+  /** Replay event stream notifications, recorded by
+    * {@link EventStreamClient#record record()}.
+    *
+    * The notifications are handled as if they were received from the Hue
+    * bridge, issuing the same events.
+    * Note that the event stream needn't be open, so no Hue bridge is needed.
+    * @param {string} filename - The file to replay.
+    * @param {object} params - Parameters.
+    * @param {number} [params.speed=1] - Replay speed: `1` for real time,
+    * `10` for ten times as fast.
+    * Specify `0` to replay without delays.
+    * @returns {integer} The number of notification containers replayed.
+    */
+  async replay (filename, params = {}) {
+    OptionParser.toString('filename', filename, true)
+    const options = { speed: 1 }
+    const optionParser = new OptionParser(options)
+    optionParser
+      .numberKey('speed', 0)
+      .parse(params)
+    const lines = createInterface({
+      input: createReadStream(filename),
+      crlfDelay: Infinity
+    })
+    const replay = {}
+    this.replaying = replay
+    let n = 0
+    let previous
+    try {
+      for await (const line of lines) {
+        if (this.replaying !== replay) {
+          break // stopped by close()
+        }
+        if (line.trim() === '') {
+          continue
+        }
+        const record = JSON.parse(line)
+        if (record.buttonMap != null) {
+          this.buttonMap = record.buttonMap
+        }
+        if (record.lights != null) {
+          this.lightStates = {}
+          for (const light of record.lights) {
+            if (light.id_v1 != null) {
+              this.lightStates[light.id_v1] = new LightState(light)
+            }
+          }
+        }
+        if (record.container == null) {
+          continue
+        }
+        const time = new Date(record.time).valueOf()
+        if (options.speed > 0 && previous != null && time > previous) {
+          await timeout(Math.round((time - previous) / options.speed))
+          if (this.replaying !== replay) {
+            break // stopped by close()
+          }
+        }
+        previous = time
+        await this.intake
+        if (this.replaying !== replay) {
+          break // stopped by close()
+        }
+        this.#handleContainer(record.container)
+        n++
+      }
+    } finally {
+      lines.close()
+      if (this.replaying === replay) {
+        delete this.replaying
+      }
+    }
+    return n
+  }
+
+  /** A change, as returned by a subscription.
+    * @typedef {object} EventStreamClient.Change
+    * @property {string} resource - The changed resource.
+    * @property {string} type - The resource type, e.g. `lights` for API v1
+    * or `light` for API v2.
+    * @property {string} id - The resource ID.
+    * @property {object} attributes - The changed attributes, or, for an
+    * API v1 light state or group action, the complete state, see
+    * {@link EventStreamClient#event:changed changed}.
+    */
+
+  /** Subscribe to changes.
+    *
+    * Returns an async iterable of the {@link EventStreamClient#event:changed
+    * changed} events matching the filters.
+    * Changes are queued until they're consumed.
+    * When the queue reaches `params.highWaterMark` changes, reading the
+    * event stream (or the file being replayed) is paused, until the
+    * subscriber has consumed half of the queued changes.
+    * No changes are dropped, but the changes of the notifications already
+    * received still get queued, and, while paused, no events are issued to
+    * any listener.
+    * Note that the Hue bridge might close the connection when the event
+    * stream is paused for too long.
+    * Call `return()`, or break from the `for await` loop, to unsubscribe.
+    * The subscription ends when the event stream is closed, after the queued
+    * changes have been consumed.
+    *
+    * Filters take a glob, or a list of globs, where `*` matches any
+    * characters except `/`, and `**` matches any characters, e.g.
+    * `/lights/**` matches the API v1 style changes to any light, and
+    * `/light/<id>` the API v2 style changes to a single light.
+    * @param {object} params - Parameters.
+    * @param {string|string[]} [params.resource] - Filter on resource.
+    * @param {string|string[]} [params.type] - Filter on resource type.
+    * @param {string|string[]} [params.id] - Filter on resource ID.
+    * @param {string|string[]} [params.attributes] - Filter on changed
+    * attributes: at least one of these must have changed.
+    * @param {integer} [params.highWaterMark=1000] - Number of queued
+    * changes at which to pause reading the event stream.
+    * @returns {AsyncIterable<EventStreamClient.Change>} The subscription.
+    */
+  subscribe (params = {}) {
+    const options = { highWaterMark: 1000 }
+    const optionParser = new OptionParser(options)
+    optionParser
+      .listKey('attributes')
+      .intKey('highWaterMark', 1)
+      .listKey('id')
+      .listKey('resource')
+      .listKey('type')
+      .parse(params)
+    const filters = {}
+    for (const key of ['resource', 'type', 'id']) {
+      if (options[key]?.length > 0) {
+        filters[key] = globsToRegExp(options[key])
+      }
+    }
+    const queue = []
+    const pending = []
+    let done = false
+
+    const end = () => {
+      done = true
+      this.removeListener('changed', onChanged)
+      this.subscriptions.delete(end)
+      this.#resumeIntake(subscription)
+      for (const resolve of pending.splice(0)) {
+        resolve({ value: undefined, done: true })
+      }
+    }
+
+    const onChanged = (resource, attributes) => {
+      const a = resource.split('/')
+      const change = { resource, type: a[1], id: a[2], attributes }
+      for (const key in filters) {
+        if (!filters[key].test(change[key])) {
+          return
+        }
+      }
+      if (
+        options.attributes?.length > 0 &&
+        !options.attributes.some((key) => attributes[key] !== undefined)
+      ) {
+        return
+      }
+      if (pending.length > 0) {
+        pending.shift()({ value: change, done: false })
+        return
+      }
+      queue.push(change)
+      if (queue.length >= options.highWaterMark) {
+        this.#pauseIntake(subscription)
+      }
+    }
+
+    const subscription = {
+      next: async () => {
+        if (queue.length > 0) {
+          const value = queue.shift()
+          if (queue.length <= options.highWaterMark / 2) {
+            this.#resumeIntake(subscription)
+          }
+          return { value, done: false }
+        }
+        if (done) {
+          return { value: undefined, done: true }
+        }
+        return new Promise((resolve) => { pending.push(resolve) })
+      },
+      return: async () => {
+        queue.splice(0)
+        end()
+        return { value: undefined, done: true }
+      },
+      [Symbol.asyncIterator] () { return this }
+    }
+    this.on('changed', onChanged)
+    this.subscriptions.add(end)
+    return subscription
+  }
+
+  // Pause reading notifications, because the queue of subscription is full.
+  #pauseIntake (subscription) {
+    this.fullSubscriptions.add(subscription)
+    if (this.intake != null) {
+      return
+    }
+    this.intake = new Promise((resolve) => { this.resumeIntake = resolve })
+    this.response?.pause()
+    clearTimeout(this.watchdogTimer)
+    delete this.watchdogTimer
+    /** Emitted when reading the event stream has been paused, because the
+      * queue of a subscription is full.
+      * @event EventStreamClient#paused
+      * @param {AsyncIterable<EventStreamClient.Change>} subscription -
+      * The subscription, as returned by
+      * {@link EventStreamClient#subscribe subscribe()}.
+      */
+    this.emit('paused', subscription)
+  }
+
+  // Resume reading notifications, once no subscription is full.
+  #resumeIntake (subscription) {
+    if (
+      !this.fullSubscriptions.delete(subscription) ||
+      this.fullSubscriptions.size > 0
+    ) {
+      return
+    }
+    this.resumeIntake()
+    delete this.intake
+    delete this.resumeIntake
+    if (this.response != null) {
+      this.response.resume()
+      this.#watchdog()
+    }
+    /** Emitted when reading the event stream has been resumed.
+      * @event EventStreamClient#resumed
+      */
+    this.emit('resumed')
+  }
+
   /** Close the event stream.
+    * @param {boolean} [retry=false] - Re-open the event stream after
+    * `params.retryTime` seconds.
     */
   async close (retry = false) {
+    if (!retry) {
+      delete this.replaying
+      await this.stopRecording()
+      for (const end of this.subscriptions) {
+        end()
+      }
+    }
+    clearTimeout(this.watchdogTimer)
+    delete this.watchdogTimer
+    clearTimeout(this.reconnectTimer)
+    delete this.reconnectTimer
     if (this.request != null) {
-      this.request.destroy()
       this.request.removeAllListeners()
+      this.request.on('error', () => {}) // ignore errors from destroy()
+      this.request.destroy()
       delete this.request
+      delete this.response
     }
     if (this.listening) {
       /** Emitted when the connection to the event stream has been closed.
@@ -166,14 +751,41 @@ class EventStreamClient extends EventEmitter {
       this.listening = false
     }
     if (retry && this.options.retryTime > 0) {
-      await timeout(this.options.retryTime * 1000)
-      this.listen()
+      const delay = this.#retryDelay(++this.attempt)
+      /** Emitted when the connection to the event stream is about to be
+        * re-opened.
+        * @event EventStreamClient#reconnecting
+        * @param {integer} attempt - The reconnect attempt, starting at 1.
+        * @param {integer} delay - The time (in milliseconds) until the
+        * connection will be re-opened.
+        */
+      this.emit('reconnecting', this.attempt, delay)
+      if (
+        this.options.resolveAttempts > 0 &&
+        this.attempt >= this.options.resolveAttempts
+      ) {
+        // Find the bridge, in case it has changed host; the hostChanged
+        // listener updates the URL before reconnecting.
+        this.options.client.resolveHost()
+      }
+      this.reconnectTimer = setTimeout(() => {
+        delete this.reconnectTimer
+        this.listen()
+      }, delay)
+    } else {
+      this.attempt = 0
     }
   }
 
   _parseContainer (container) {
     for (const obj of container) {
       switch (obj.type) {
+        case 'add':
+          this._parseAdd(obj)
+          break
+        case 'delete':
+          this._parseDelete(obj)
+          break
         case 'update':
           this['_parseUpdate' + this.options.version](obj)
           break
@@ -184,6 +796,79 @@ class EventStreamClient extends EventEmitter {
     }
   }
 
+  // Return the resource, API v1 or API v2 style, of the notification data.
+  _resource (data) {
+    return this.options.version === 1
+      ? data.id_v1
+      : ['', data.type, data.id].join('/')
+  }
+
+  // For API v1, the services of a device share the `id_v1` of the device,
+  // so the `added` and `deleted` events are issued only once per resource,
+  // for the first service in the notification.
+  _parseAdd (obj) {
+    const resources = new Set()
+    for (const data of obj.data) {
+      if (data.type === 'button' && this.buttonMap != null) {
+        this.buttonMap[data.id] = data.metadata.control_id * 1000
+      } else if (
+        data.type === 'light' && data.id_v1 != null && this.lightStates != null
+      ) {
+        this.lightStates[data.id_v1] = new LightState(data)
+      }
+      const resource = this._resource(data)
+      if (resource == null) {
+        resources.add(null)
+        continue
+      }
+      if (resources.has(resource)) {
+        continue
+      }
+      resources.add(resource)
+      /** Emitted when an `add` notification has been received.
+        * @event EventStreamClient#added
+        * @param {string} resource - The added resource.<br>
+        * For API v1, this is a `/lights`, `/groups`, `/sensors`, or `/scenes`
+        * resource; for API v2, a `/<type>/<id>` resource.
+        * @param {object} data - The API v2 resource data.
+        */
+      this.emit('added', resource, data)
+    }
+    if (resources.has(null)) {
+      this.emit('notification', obj)
+    }
+  }
+
+  _parseDelete (obj) {
+    const resources = new Set()
+    for (const data of obj.data) {
+      if (data.type === 'button') {
+        delete this.buttonMap?.[data.id]
+      } else if (data.type === 'light' && data.id_v1 != null) {
+        delete this.lightStates?.[data.id_v1]
+      }
+      const resource = this._resource(data)
+      if (resource == null) {
+        resources.add(null)
+        continue
+      }
+      if (resources.has(resource)) {
+        continue
+      }
+      resources.add(resource)
+      /** Emitted when a `delete` notification has been received.
+        * @event EventStreamClient#deleted
+        * @param {string} resource - The deleted resource.<br>
+        * For API v1, this is a `/lights`, `/groups`, `/sensors`, or `/scenes`
+        * resource; for API v2, a `/<type>/<id>` resource.
+        */
+      this.emit('deleted', resource)
+    }
+    if (resources.has(null)) {
+      this.emit('notification', obj)
+    }
+  }
+
   _parseUpdate1 (obj) {
     for (const data of obj.data) {
       let emitted = false
@@ -192,33 +877,66 @@ class EventStreamClient extends EventEmitter {
         const attr = {}
         const state = {}
         const config = {}
+        // For groups, the light state is reported under action.
+        const action = data.type === 'grouped_light' ? {} : state
         for (const key of Object.keys(data)) {
           const value = data[key]
           switch (key) {
             case 'on':
-              state.on = value.on
+              action.on = value.on
+              if (data.type === 'grouped_light') {
+                state.any_on = value.on
+              }
               break
             case 'dimming':
-              state.bri = Math.round(value.brightness * 2.54)
+              action.bri = Math.round(value.brightness * 2.54)
               break
             case 'color':
-              state.xy = [value.xy.x, value.xy.y]
+              action.xy = [value.xy.x, value.xy.y]
               break
             case 'color_temperature':
+              // When mirek isn't valid, the light is in xy mode, and the
+              // colour temperature is derived from xy.
               if (value.mirek_valid) {
-                state.ct = value.mirek
+                action.ct = value.mirek
+              }
+              break
+            case 'gradient':
+              state.gradient = {
+                points: value.points.map((point) => {
+                  return [point.color.xy.x, point.color.xy.y]
+                })
+              }
+              break
+            case 'effects':
+              if (value.status != null) {
+                state.effect = value.status === 'no_effect'
+                  ? 'none'
+                  : value.status
+              }
+              break
+            case 'dynamics':
+              // Only the dynamic palette has an API v1 equivalent; other
+              // statuses don't imply that the light has no effect.
+              if (value.status === 'dynamic_palette' && state.effect == null) {
+                state.effect = 'colorloop'
               }
               break
             case 'status':
-              if (resource.startsWith('/sensors')) {
-                config.reachable = value === 'connected'
+              if (data.type === 'zigbee_connectivity') {
+                if (resource.startsWith('/sensors')) {
+                  config.reachable = value === 'connected'
+                } else {
+                  state.reachable = value === 'connected'
+                }
               } else if (resource.startsWith('/scenes')) {
                 attr.active = value.active
-              } else {
-                state.reachable = value === 'connected'
               }
               break
             case 'button':
+              if (this.buttonMap?.[data.id] == null) {
+                break // unknown button
+              }
               state.buttonevent = this.buttonMap[data.id] + {
                 initial_press: 0,
                 repeat: 1,
@@ -234,14 +952,39 @@ class EventStreamClient extends EventEmitter {
               state.expectedeventduration = value.rotary_report.rotation.duration
               state.lastupdated = value.rotary_report.updated.slice(0, -1)
               break
+            case 'contact_report':
+              state.open = value.state === 'no_contact'
+              state.lastupdated = value.changed.slice(0, -1)
+              break
+            case 'tamper_reports': {
+              const report = value[value.length - 1]
+              if (report != null) {
+                state.tampered = report.state === 'tampered'
+                state.lastupdated = report.changed.slice(0, -1)
+              }
+              break
+            }
+            case 'power_state':
+              if (value.battery_level != null) {
+                config.battery = value.battery_level
+              }
+              break
             case 'motion':
-              if (value.motion_valid) {
+              // Used by motion, camera_motion, and grouped_motion.
+              if (value.motion_report != null) {
+                state.presence = value.motion_report.motion
+                state.lastupdated = value.motion_report.changed.slice(0, -1)
+              } else if (value.motion_valid) {
                 state.presence = value.motion
                 state.lastupdated = obj.creationtime.slice(0, -1)
               }
               break
             case 'light':
-              if (value.light_level_valid) {
+              // Used by light_level and grouped_light_level.
+              if (value.light_level_report != null) {
+                state.lightlevel = value.light_level_report.light_level
+                state.lastupdated = value.light_level_report.changed.slice(0, -1)
+              } else if (value.light_level_valid) {
                 state.lightlevel = value.light_level
                 state.lastupdated = obj.creationtime.slice(0, -1)
               }
@@ -258,6 +1001,11 @@ class EventStreamClient extends EventEmitter {
             case 'metadata':
               attr.name = value.name
               break
+            case 'state':
+              if (data.type === 'device_software_update') {
+                attr.swupdate = { state: swupdateStates[value] ?? value }
+              }
+              break
             default:
               break
           }
@@ -268,15 +1016,29 @@ class EventStreamClient extends EventEmitter {
             * @event EventStreamClient#changed
             * @param {string} resource - The changed resource.<br>
             * For API v1, this can be a `/lights`, `/groups`, or `/sensors`
-            * resource for top-level attributes, or a `state` or
+            * resource for top-level attributes, or a `state`, `action`, or
             * `config` sub-resource.
-            * @param {object} attributes - The changed attributes.
+            * @param {object} attributes - The changed attributes.<br>
+            * For a `/lights/`_id_`/state` or `/groups/`_id_`/action`
+            * resource, this is the complete, emulated API v1 state,
+            * including the changed attributes.
             */
           this.emit('changed', resource, attr)
           emitted = true
         }
         if (Object.keys(state).length > 0) {
-          this.emit('changed', resource + '/state', state)
+          this.emit(
+            'changed', resource + '/state',
+            resource.startsWith('/lights')
+              ? this.#lightState(resource, state)
+              : state
+          )
+          emitted = true
+        }
+        if (action !== state && Object.keys(action).length > 0) {
+          this.emit(
+            'changed', resource + '/action', this.#lightState(resource, action)
+          )
           emitted = true
         }
         if (Object.keys(config).length > 0) {
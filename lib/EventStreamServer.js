@@ -0,0 +1,357 @@
+// hb-hue-tools/lib/EventStreamServer.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+
+import { EventEmitter, once } from 'node:events'
+import http from 'node:http'
+
+import { OptionParser } from 'hb-lib-tools/OptionParser'
+import { WebSocketServer } from 'ws'
+
+import { EventStreamClient } from './EventStreamClient.js'
+import { HueClient } from './HueClient.js'
+
+// Event styles supported by the server.
+const styles = ['raw', 'v1', 'v2']
+
+// Return the part of a raw notification container matching filter, or null
+// when nothing matches.
+function filterContainer (container, filter) {
+  const result = []
+  for (const obj of container) {
+    const data = (obj.data ?? []).filter((data) => {
+      return filter.test('/' + data.type + '/' + data.id)
+    })
+    if (data.length > 0) {
+      result.push(Object.assign({}, obj, { data }))
+    }
+  }
+  return result.length > 0 ? result : null
+}
+
+/** Server re-broadcasting the event stream of a Hue bridge to local clients.
+  *
+  * The server holds a single event stream connection to the Hue bridge, and
+  * re-broadcasts the notifications to any number of local clients, over
+  * server-sent events (SSE) or web socket.
+  *
+  * Clients connect to `/eventstream/clip/v2`, with these (optional) query
+  * parameters:
+  * - `style`: `raw` (default) for the notification containers as sent by the
+  * Hue bridge, or `v1` or `v2` for the
+  * {@link EventStreamClient#event:changed changed},
+  * {@link EventStreamClient#event:added added}, and
+  * {@link EventStreamClient#event:deleted deleted} events of an
+  * {@link EventStreamClient} in API v1 or API v2 style;
+  * - `filter`: a glob on the resource, see
+  * {@link EventStreamClient#subscribe subscribe()}.
+  * Can be repeated, to match any of the globs.
+  * For the `raw` style, the filter applies to the API v2 resource.
+  *
+  * With `raw` style, an {@link EventStreamClient} can connect to the server
+  * as if it were the Hue bridge.
+  * With `v1` or `v2` style, SSE clients receive events named `changed`,
+  * `added`, and `deleted`, with data `{"resource": ..., "attributes": ...}`
+  * or `{"resource": ..., "data": ...}`; web socket clients receive the same
+  * data, with an `event` key for the event name.
+  *
+  * The server sends a `: keep-alive` comment to SSE clients, and a ping to
+  * web socket clients, every `params.keepAliveTime` seconds, so proxies
+  * and clients don't time out an idle connection.
+  * A client that doesn't keep up with the notifications is disconnected,
+  * once more than `params.maxBuffered` bytes are waiting to be sent to it.
+  * @extends EventEmitter
+  */
+class EventStreamServer extends EventEmitter {
+  /** Create a new event stream server.
+    * @param {HueClient} client - The client to the Hue bridge.
+    * @param {object} params - Parameters.
+    * @param {string} [params.hostname='127.0.0.1'] - Address to listen on.
+    * @param {integer} [params.keepAliveTime=30] - Time (in seconds) between
+    * keep-alive messages to the clients.
+    * Specify `0` to disable keep-alive messages.
+    * @param {integer} [params.maxBuffered=1048576] - Maximum number of bytes
+    * waiting to be sent to a client, before it is disconnected.
+    * @param {integer} [params.port=0] - Port to listen on.
+    * Specify `0` for a random free port.
+    * @param {integer} [params.retryTime=10] - Time (in seconds) to try and
+    * reconnect when the event stream connection to the Hue bridge has been
+    * closed.
+    */
+  constructor (client, params = {}) {
+    super()
+    if (!(client instanceof HueClient)) {
+      throw new TypeError('client: not a HueClient')
+    }
+    this._options = {
+      client,
+      hostname: '127.0.0.1',
+      keepAliveTime: 30,
+      maxBuffered: 1024 * 1024,
+      port: 0,
+      retryTime: 10
+    }
+    const optionParser = new OptionParser(this._options)
+    optionParser
+      .stringKey('hostname', true)
+      .intKey('keepAliveTime', 0, 3600)
+      .intKey('maxBuffered', 1024)
+      .intKey('port', 0, 65535)
+      .intKey('retryTime', 0, 120)
+      .parse(params)
+    this.clients = new Set()
+    this.clientId = 0
+
+    /** The event stream client to the Hue bridge.
+      * @type {EventStreamClient}
+      */
+    this.eventStream = new EventStreamClient(client, {
+      raw: true,
+      retryTime: this._options.retryTime,
+      version: 2
+    })
+    this.eventStream
+      .on('error', (error) => { this.emit('error', error) })
+      .on('notification', (container) => { this.#broadcast(container) })
+
+    // Clients that aren't connected, to convert the raw notifications.
+    this.converters = {}
+    for (const version of [1, 2]) {
+      const style = 'v' + version
+      this.converters[style] = new EventStreamClient(client, { version })
+      this.converters[style]
+        .on('error', (error) => { this.emit('error', error) })
+        .on('changed', (resource, attributes) => {
+          this.#send(style, resource, 'changed', { resource, attributes })
+        })
+        .on('added', (resource, data) => {
+          this.#send(style, resource, 'added', { resource, data })
+        })
+        .on('deleted', (resource) => {
+          this.#send(style, resource, 'deleted', { resource })
+        })
+    }
+  }
+
+  /** Start the server, and open the event stream to the Hue bridge.
+    * @returns {string} The URL of the server.
+    */
+  async listen () {
+    await this.converters.v1.init()
+    this.wsServer = new WebSocketServer({ noServer: true })
+    this.server = http.createServer((request, response) => {
+      this.#onRequest(request, response)
+    })
+    this.server
+      .on('upgrade', (request, socket, head) => {
+        this.#onUpgrade(request, socket, head)
+      })
+      .on('error', (error) => { this.emit('error', error) })
+    this.server.listen(this._options.port, this._options.hostname)
+    await once(this.server, 'listening')
+    const { address, port } = this.server.address()
+    this.url = 'http://' + (address.includes(':') ? `[${address}]` : address) +
+      ':' + port + '/eventstream/clip/v2'
+    /** Emitted when the server is listening.
+      * @event EventStreamServer#listening
+      * @param {string} url - The URL of the server.
+      */
+    this.emit('listening', this.url)
+    if (this._options.keepAliveTime > 0) {
+      this.keepAliveTimer = setInterval(() => {
+        for (const client of this.clients) {
+          if (this.#isKeepingUp(client)) {
+            client.keepAlive()
+          }
+        }
+      }, this._options.keepAliveTime * 1000)
+    }
+    this.eventStream.listen()
+    return this.url
+  }
+
+  /** Disconnect all clients, stop the server, and close the event stream to
+    * the Hue bridge.
+    */
+  async close () {
+    await this.eventStream.close()
+    clearInterval(this.keepAliveTimer)
+    delete this.keepAliveTimer
+    for (const client of this.clients) {
+      client.close()
+    }
+    this.clients.clear()
+    if (this.server != null) {
+      this.wsServer.close()
+      this.server.close()
+      this.server.closeAllConnections()
+      delete this.server
+      /** Emitted when the server has been stopped.
+        * @event EventStreamServer#closed
+        */
+      this.emit('closed')
+    }
+  }
+
+  // Parse the client's query parameters.
+  #parseUrl (request) {
+    const url = new URL(request.url, 'http://localhost')
+    if (url.pathname !== '/eventstream/clip/v2') {
+      return null
+    }
+    const style = url.searchParams.get('style') ?? 'raw'
+    if (!styles.includes(style)) {
+      throw new RangeError(`${style}: invalid style`)
+    }
+    const globs = url.searchParams.getAll('filter')
+    return {
+      filter: globs.length > 0 ? EventStreamClient.globsToRegExp(globs) : null,
+      style
+    }
+  }
+
+  #onRequest (request, response) {
+    let params
+    try {
+      params = this.#parseUrl(request)
+    } catch (error) {
+      response.writeHead(400, { 'Content-Type': 'text/plain' })
+      response.end(error.message + '\n')
+      return
+    }
+    if (params == null || request.method !== 'GET') {
+      response.writeHead(404, { 'Content-Type': 'text/plain' })
+      response.end('not found\n')
+      return
+    }
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    })
+    response.write(': hi\n\n')
+    this.#addClient(request, Object.assign(params, {
+      protocol: 'sse',
+      buffered: () => response.writableLength,
+      send: (event, data) => {
+        response.write(
+          (event == null ? '' : `event: ${event}\n`) +
+          `data: ${JSON.stringify(data)}\n\n`
+        )
+      },
+      keepAlive: () => { response.write(': keep-alive\n\n') },
+      close: () => { response.end() },
+      destroy: () => { response.destroy() }
+    }))
+  }
+
+  #onUpgrade (request, socket, head) {
+    let params
+    try {
+      params = this.#parseUrl(request)
+    } catch (error) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n')
+      return
+    }
+    if (params == null) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n')
+      return
+    }
+    this.wsServer.handleUpgrade(request, socket, head, (ws) => {
+      ws.on('error', (error) => { this.emit('error', error) })
+      this.#addClient(request, Object.assign(params, {
+        protocol: 'websocket',
+        buffered: () => ws.bufferedAmount,
+        send: (event, data) => {
+          ws.send(JSON.stringify(
+            event == null ? data : Object.assign({ event }, data)
+          ))
+        },
+        keepAlive: () => { ws.ping() },
+        close: () => { ws.terminate() },
+        destroy: () => { ws.terminate() }
+      }))
+    })
+  }
+
+  #addClient (request, client) {
+    client.id = ++this.clientId
+    this.clients.add(client)
+    request.socket.on('close', () => {
+      if (this.clients.delete(client)) {
+        /** Emitted when a client has disconnected.
+          * @event EventStreamServer#clientDisconnected
+          * @param {integer} id - The client ID.
+          */
+        this.emit('clientDisconnected', client.id)
+      }
+    })
+    /** Emitted when a client has connected.
+      * @event EventStreamServer#clientConnected
+      * @param {integer} id - The client ID.
+      * @param {object} info - Information about the client.
+      * @param {string} info.address - The client's IP address.
+      * @param {string} info.protocol - `sse` or `websocket`.
+      * @param {string} info.style - `raw`, `v1`, or `v2`.
+      * @param {?RegExp} info.filter - The client's resource filter.
+      */
+    this.emit('clientConnected', client.id, {
+      address: request.socket.remoteAddress,
+      protocol: client.protocol,
+      style: client.style,
+      filter: client.filter
+    })
+  }
+
+  #broadcast (container) {
+    for (const client of this.clients) {
+      if (client.style === 'raw') {
+        const data = client.filter == null
+          ? container
+          : filterContainer(container, client.filter)
+        if (data != null && this.#isKeepingUp(client)) {
+          client.send(null, data)
+        }
+      }
+    }
+    for (const style in this.converters) {
+      this.converters[style]._parseContainer(container)
+    }
+  }
+
+  #send (style, resource, event, data) {
+    for (const client of this.clients) {
+      if (
+        client.style === style &&
+        (client.filter == null || client.filter.test(resource)) &&
+        this.#isKeepingUp(client)
+      ) {
+        client.send(event, data)
+      }
+    }
+  }
+
+  // Check that the client keeps up with the notifications, disconnecting it
+  // when too much data is waiting to be sent to it.
+  #isKeepingUp (client) {
+    const buffered = client.buffered()
+    if (buffered <= this._options.maxBuffered) {
+      return true
+    }
+    if (this.clients.delete(client)) {
+      /** Emitted when a client has been disconnected, because it doesn't
+        * keep up with the notifications.
+        * @event EventStreamServer#clientDropped
+        * @param {integer} id - The client ID.
+        * @param {integer} buffered - The number of bytes waiting to be sent
+        * to the client.
+        */
+      this.emit('clientDropped', client.id, buffered)
+      client.destroy()
+    }
+    return false
+  }
+}
+
+export { EventStreamServer }
@@ -3,15 +3,18 @@
 // Homebridge plug-in for Philips Hue.
 // Copyright © 2018-2026 Erik Baauw. All rights reserved.
 
-import { once } from 'node:events'
 import { hostname } from 'node:os'
+import { setTimeout } from 'node:timers/promises'
 
-import { timeout } from 'hb-lib-tools'
 import { HttpClient } from 'hb-lib-tools/HttpClient'
 import { OptionParser } from 'hb-lib-tools/OptionParser'
 
+import { HueDiscovery } from 'hb-hue-tools/HueDiscovery'
 import { HueError } from 'hb-hue-tools/HueError'
 import { HueResponse } from 'hb-hue-tools/HueResponse'
+import { RequestScheduler } from 'hb-hue-tools/RequestScheduler'
+import { RetryPolicy } from 'hb-hue-tools/RetryPolicy'
+import { ZigbeeTrafficModel } from 'hb-hue-tools/ZigbeeTrafficModel'
 
 const hueMacPrefixes = ['001788', 'ECB5FA', 'C42996']
 
@@ -28,39 +31,78 @@ const apiV1Resources = [
   'resourcelinks'
 ]
 
-// Estmate the number of Zigbee messages resulting from PUTting body.
-function numberOfZigbeeMessages (body = {}) {
-  let n = 0
-  if (Object.keys(body).includes('on')) {
-    n++
-  }
-  if (
-    Object.keys(body).includes('bri') ||
-    Object.keys(body).includes('bri_inc')
-  ) {
-    n++
+// Check whether value is a plain object.
+function isObject (value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Merge body into target, the last value winning per attribute.
+function mergeBody (target, body) {
+  for (const key in body) {
+    const value = body[key]
+    if (isObject(value) && isObject(target[key])) {
+      mergeBody(target[key], value)
+    } else {
+      target[key] = structuredClone(value)
+    }
   }
-  if (
-    Object.keys(body).includes('xy') ||
-    Object.keys(body).includes('ct') ||
-    Object.keys(body).includes('hue') ||
-    Object.keys(body).includes('sat') ||
-    Object.keys(body).includes('effect')
-  ) {
-    n++
+}
+
+// Validate the per-request options.
+function parseRequestOptions (options = {}) {
+  const result = { priority: 'normal' }
+  const optionParser = new OptionParser(result)
+  optionParser
+    .enumKey('priority')
+  for (const priority of RequestScheduler.priorities) {
+    optionParser.enumKeyValue('priority', priority)
   }
-  return n === 0 ? 1 : n
+  optionParser
+    .instanceKey('signal', AbortSignal)
+    .intKey('timeout', 1, 60)
+    .parse(options)
+  return result
 }
 
 /** REST API client for Hue bridge with API v1 and compatible servers.
   *
   * See the [Hue API v1](https://developers.meethue.com/develop/hue-api/)
   * documentation for a better understanding of the API.
+  *
+  * The request methods take an optional {@link HueClient.RequestOptions}
+  * argument, to set the priority of the request, to abort the request, or to
+  * shorten the request timeout.
+  * Requests are scheduled by a {@link RequestScheduler}, that services
+  * `interactive` requests before `normal` requests, and `normal` requests
+  * before `background` requests.
+  * An aborted request is rejected with the `reason` of the signal.
+  * Note that the HTTP request of a request that has already been sent still
+  * completes, and holds its slot until then, and that the Hue bridge might
+  * still process it.
+  *
+  * Failed requests are resent as per the {@link RetryPolicy}.
+  * When too many requests in a row fail to reach the Hue bridge, the client
+  * considers the bridge down, and fails any new request immediately, until
+  * `resetTime` has passed.
+  * It then lets a single request through, to check whether the bridge is up
+  * again.
   * @extends HttpClient
   */
 class HueClient extends HttpClient {
   static get HueError () { return HueError }
   static get HueResponse () { return HueResponse }
+  static get RequestScheduler () { return RequestScheduler }
+  static get RetryPolicy () { return RetryPolicy }
+  static get ZigbeeTrafficModel () { return ZigbeeTrafficModel }
+
+  /** Per-request options.
+    * @typedef {object} HueClient.RequestOptions
+    * @property {string} [priority='normal'] - The lane of the request:
+    * `interactive`, `normal`, or `background`.
+    * @property {AbortSignal} [signal] - Signal to abort the request.
+    * @property {integer} [timeout] - Request timeout (in seconds), when
+    * shorter than the timeout of the client.
+    */
 
   /** Check for Hue bridge.
     * @param {object} config - The bridge public configuration,
@@ -125,44 +167,72 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
     * passing it as `params.apiKey`.
     * If no API key is known {@link HueClient#getApiKey getApiKey()} can
     * be called to create one.<br>
-    // * The client is expected to persist the fingerprint of the self-signed SSL
-    // * certificate of gen-2 Hue bridge, passing it as `params.fingerprint`.
-    // * If no `fingerprint` is known, it will be pinned on the first request to
-    // * the Hue bridge, typically the call to
-    // * {@link HueClient#getApiKey getApiKey()}.
-    // * It can be obtained through the {@link HueClient#fingerprint fingerprint}
-    // * property.
+    * The caller is expected to persist the fingerprint of the SSL certificate
+    * of the Hue bridge, passing it as `params.fingerprint`.
+    * If no `fingerprint` is known, it will be pinned on the first request to
+    * the Hue bridge, typically the call to
+    * {@link HueClient#getApiKey getApiKey()}, and a
+    * {@link HueClient#event:pinned pinned} event is emitted.
+    * It can be obtained through the {@link HueClient#fingerprint fingerprint}
+    * property.
+    *
+    * When a `resolver` is given, the client finds the Hue bridge again, by
+    * its `bridgeid` from `params.config`, when the bridge is considered down,
+    * see {@link HueClient#resolveHost resolveHost()}.
+    * The caller is expected to persist the new host, on the
+    * {@link HueClient#event:hostChanged hostChanged} event.
     *
     * @param {object} params - Parameters.
     * @param {?string} params.apiKey - The API key of the Hue bridge.
     * @param {object} params.config - The bridge public configuration,
     * i.e. the response of {@link HueDiscovery#config HueDiscovery#config()}.
-    // * @param {?string} params.fingerprint - The fingerprint of the pinned
-    // * self-signed SSL certificate of the Hue bridge
-    // * with firmware v1.24.0 or greater.
+    * @param {integer} [params.failureThreshold=5] - The number of requests in
+    * a row that fail to reach the Hue bridge, before considering the bridge
+    * down.
+    * Specify `0` to keep sending requests to a bridge that is down.
+    * @param {?string} params.fingerprint - The SHA-256 fingerprint of the
+    * pinned SSL certificate of the Hue bridge with firmware v1.24.0 or
+    * greater.
     * @param {boolean} [params.forceHttp=false] - Force HTTP instead of HTTPS
     * for Hue bridge with firmware v1.24.0 and greater.
-    * @param {!string} params.host - Hostname/IP address of the Hue bridge.
+    * @param {!string} params.host - Hostname/IP address and optional port of
+    * the Hue bridge.
     * @param {boolean} [params.keepAlive=false] - Keep server connection(s)
     * open.
     * @param {?*} params.logger - Logger for messages.
+    * @param {integer} [params.maxBackground=2] - Maximum number of parallel
+    * background requests.
     * @param {integer} [params.maxSockets=20] - Throttle requests to maximum
     * number of parallel connections.
+    * @param {boolean} [params.resolvePortal=false] - Query the MeetHue portal
+    * when the Hue bridge isn't found locally by the `resolver`.
+    * @param {?HueDiscovery} params.resolver - Discovery to find the Hue bridge
+    * when it has changed host.
+    * @param {integer} [params.resetTime=30] - The time (in seconds), after
+    * considering the bridge down, to wait before sending the next request.
+    * @param {RetryPolicy} [params.retryPolicy] - The policy for resending
+    * failed requests.
+    * Defaults to a {@link RetryPolicy} with `waitTimeResend` as `baseDelay`.
     * @param {integer} [params.timeout=5] - Request timeout (in seconds).
     * @param {integer} [params.waitTimePut=50] - The time (in milliseconds),
-    * after sending a PUT request, to wait before sending another PUT request.
-    * @param {integer} [params.waitTimePutGroup=1000] - The time (in
-    * milliseconds), after sending a PUT request, to wait before sending
+    * per unicast Zigbee message of a PUT request, to wait before sending
     * another PUT request.
+    * @param {integer} [params.waitTimePutGroup=1000] - The time (in
+    * milliseconds), per broadcast Zigbee message of a PUT request, to wait
+    * before sending another PUT request.
     * @param {integer} [params.waitTimeResend=300] - The time, in milliseconds,
-    * to wait before resending a request after an ECONNRESET, an http status
-    * 503, or an api 901 error.
+    * to wait before resending a request, when no `retryPolicy` is specified.
+    * Specify `0` to disable resending requests.
     */
   constructor (params = {}) {
     const _options = {
+      failureThreshold: 5,
       keepAlive: false,
+      maxBackground: 2,
       maxSockets: 20,
       path: '/api',
+      resetTime: 30,
+      resolvePortal: false,
       timeout: 5,
       waitTimePut: 50,
       waitTimePutGroup: 1000,
@@ -172,20 +242,29 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
     optionParser
       .stringKey('apiKey')
       .objectKey('config', true)
-      // .stringKey('fingerprint', true)
+      .intKey('failureThreshold', 0, 100)
+      .stringKey('fingerprint', true)
       .boolKey('forceHttp')
       .hostKey('host')
       .boolKey('keepAlive')
+      .intKey('maxBackground', 1, 20)
       .intKey('maxSockets', 1, 20)
       .instanceKey('logger')
+      .intKey('resetTime', 1, 3600)
+      .boolKey('resolvePortal')
+      .instanceKey('resolver', HueDiscovery)
+      .instanceKey('retryPolicy', RetryPolicy)
       .intKey('timeout', 1, 60)
       .intKey('waitTimePut', 0, 50)
       .intKey('waitTimePutGroup', 0, 1000)
       .intKey('waitTimeResend', 0, 1000)
       .parse(params)
-    // if (_options.fingerprint != null) {
-    //   _options.https = true
-    // }
+    if (_options.retryPolicy == null) {
+      _options.retryPolicy = new RetryPolicy({
+        baseDelay: _options.waitTimeResend,
+        retries: _options.waitTimeResend > 0 ? 5 : 0
+      })
+    }
     _options.isHue = false
     if (HueClient.isHueBridge(_options.config)) {
       _options.isHue = true
@@ -202,7 +281,9 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
     }
 
     const options = {
-      host: _options.hostname,
+      host: _options.port == null
+        ? _options.hostname
+        : _options.hostname + ':' + _options.port,
       json: true,
       keepAlive: _options.keepAlive,
       logger: _options.logger,
@@ -211,7 +292,6 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
     }
     if (_options.https && !_options.forceHttp) {
       options.https = true
-      // options.selfSignedCertificate = true
       options.ca = HueClient.rootCertificates
       options.checkServerIdentity = (hostname, cert) => {
         return this.checkServerIdentity(hostname, cert)
@@ -219,8 +299,26 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
     }
     super(options)
     this._options = _options
-    this.waitForIt = false
+    this._scheduler = new RequestScheduler({
+      maxBackground: Math.min(_options.maxBackground, _options.maxSockets),
+      maxRequests: _options.maxSockets
+    })
+    this._trafficModel = new ZigbeeTrafficModel({
+      broadcastTime: _options.waitTimePutGroup,
+      unicastTime: _options.waitTimePut
+    })
+    this.pendingPuts = {}
+    this.failures = 0
+    this.bridgeDown = false
     this.setMaxListeners(30)
+    this
+      .on('bridgeDown', (error) => {
+        this.warn('%s: bridge down: %s', this.name, error.message)
+      })
+      .on('bridgeUp', () => { this.log('%s: bridge up', this.name) })
+      .on('hostChanged', (oldHost, host) => {
+        this.log('%s: bridge moved from %s to %s', this.bridgeId, oldHost, host)
+      })
   }
 
   /** The ID (mac address) of the Hue bridge.
@@ -229,13 +327,25 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
     */
   get bridgeId () { return this._options.config.bridgeid }
 
-  // /** The fingerprint of the self-signed SSL certificate of the Hue bridge with
-  //   * firmware v1.24.0 or greater.
-  //   *
-  //   * @type {string}
-  //   */
-  // get fingerprint () { return this._options.fingerprint }
-  // set fingerprint (value) { this._options.fingerprint = value }
+  /** The discovery used to find the Hue bridge when it has changed host.
+    * @type {?HueDiscovery}
+    * @readonly
+    */
+  get resolver () { return this._options.resolver }
+
+  /** The SHA-256 fingerprint of the pinned SSL certificate of the Hue bridge
+    * with firmware v1.24.0 or greater.
+    *
+    * Set to `null` to pin the certificate again on the next request, e.g.
+    * after the Hue bridge has rotated its certificate.
+    * @type {?string}
+    */
+  get fingerprint () { return this._options.fingerprint }
+  set fingerprint (value) {
+    this._options.fingerprint = value == null
+      ? value
+      : OptionParser.toString('fingerprint', value, true)
+  }
 
   /** True when connected to a Hue bridge.
     * @type {boolean}
@@ -249,6 +359,42 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
     */
   get isHue2 () { return this._options.isHue2 }
 
+  /** The policy for resending failed requests.
+    * @type {RetryPolicy}
+    * @readonly
+    */
+  get retryPolicy () { return this._options.retryPolicy }
+
+  /** The model of the Zigbee traffic caused by PUT requests.
+    *
+    * Its {@link ZigbeeTrafficModel#pending pending} and
+    * {@link ZigbeeTrafficModel#estimatedDelay estimatedDelay} properties
+    * show how many PUT requests are waiting, and for how long.
+    * @type {ZigbeeTrafficModel}
+    * @readonly
+    */
+  get trafficModel () { return this._trafficModel }
+
+  /** The scheduler of the requests.
+    * @type {RequestScheduler}
+    * @readonly
+    */
+  get scheduler () { return this._scheduler }
+
+  /** The number of requests waiting, per lane, for the scheduler or for the
+    * PUT throttle.
+    * @type {object}
+    * @readonly
+    */
+  get queued () {
+    const queued = this._scheduler.queued
+    const puts = this._trafficModel.queued
+    for (const priority in queued) {
+      queued[priority] += puts[priority]
+    }
+    return queued
+  }
+
   /** The API key.
     * @type {string}
     */
@@ -270,15 +416,16 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
     * @param {string} resource - The resource.<br>
     * This might be a resource as exposed by the API, e.g. `/lights/1/state`,
     * or an attribute returned by the API, e.g. `/lights/1/state/on`.
+    * @param {HueClient.RequestOptions} [options] - Request options.
     * @return {*} response - The JSON response body converted to JavaScript.
     * @throws {HueError} In case of error.
     */
-  async get (resource) {
+  async get (resource, options) {
     if (typeof resource !== 'string' || resource[0] !== '/') {
       throw new TypeError(`${resource}: invalid resource`)
     }
     let request = this.request.bind(this)
-    this.path = this._options.path
+    let basePath = this._options.path
     let path = resource.slice(1).split('/')
     switch (path[0]) {
       case '':
@@ -305,7 +452,7 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
         path = []
         break
       default:
-        this.path = path[0] === 'resource' ? '/clip/v2' : '/clip/v2/resource'
+        basePath = path[0] === 'resource' ? '/clip/v2' : '/clip/v2/resource'
         request = this.request2.bind(this)
         if (path.length >= 2) {
           resource = '/' + path.shift() + '/' + path.shift()
@@ -315,7 +462,7 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
         path = []
         break
     }
-    let { body } = await request('GET', resource)
+    let { body } = await request('GET', resource, null, 0, basePath, options)
     for (const key of path) {
       if (typeof body === 'object' && body != null) {
         body = body[key]
@@ -333,38 +480,100 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
     *
     * HueClient throttles the number of PUT requests to limit the Zigbee traffic
     * to 20 unicast messsages per seconds, or 1 broadcast message per second,
-    * delaying the request when needed.
+    * delaying the request when needed, see {@link HueClient#trafficModel}.
+    *
+    * While a PUT request to a resource is delayed, the bodies of new PUT
+    * requests to the same resource are merged into it, the last value winning
+    * per attribute.
+    * Callers of the merged requests all receive the response to the single
+    * request sent to the Hue bridge.
+    * This keeps a light from lagging behind e.g. a brightness slider.
+    * The merged request uses the highest `priority` and the shortest
+    * `timeout` of its callers, moving it ahead in the PUT throttle when a
+    * caller with a higher priority joins.
+    * It is dropped without being sent, when all callers abort before it's
+    * sent.
     * @param {string} resource - The resource.
     * @param {*} body - The body, which will be converted to JSON.
+    * @param {HueClient.RequestOptions} [options] - Request options.
     * @return {HueResponse} response - The response.
     * @throws {HueError} In case of error, except for non-critical API errors.
     */
-  async put (resource, body) {
-    if (this.waitForIt) {
-      while (this.waitForIt) {
-        try {
-          await once(this, '_go')
-        } catch (error) {}
-      }
+  async put (resource, body, options) {
+    const { priority, signal, timeout } = parseRequestOptions(options)
+    signal?.throwIfAborted()
+    let put = this.pendingPuts[resource]
+    if (put != null && isObject(put.body) && isObject(body)) {
+      mergeBody(put.body, body)
+      this.#raisePut(put, priority, timeout)
+    } else {
+      put = this.#queuePut(resource, body, priority, timeout)
     }
-    const timeout = numberOfZigbeeMessages(body) * (
-      resource.startsWith('/groups')
-        ? this._options.waitTimePutGroup
-        : this._options.waitTimePut
-    )
-    if (timeout > 0) {
-      this.waitForIt = true
-      setTimeout(() => {
-        this.waitForIt = false
-        this.emit('_go')
-      }, timeout)
+    if (signal == null) {
+      put.unabortable = true
+      return put.promise
     }
-    if (apiV1Resources.includes(resource.slice(1).split('/')[0])) {
-      this.path = this._options.path
-      return this.request('PUT', resource, body)
-    } else {
-      this.path = '/clip/v2/resource'
-      return this.request2('PUT', resource, body)
+    put.callers++
+    let onAbort
+    try {
+      return await Promise.race([put.promise, new Promise((resolve, reject) => {
+        onAbort = () => {
+          if (--put.callers === 0 && !put.unabortable) {
+            put.controller.abort(signal.reason)
+          }
+          reject(signal.reason)
+        }
+        signal.addEventListener('abort', onAbort, { once: true })
+      })])
+    } finally {
+      signal.removeEventListener('abort', onAbort)
+    }
+  }
+
+  // Queue a PUT request, that will be sent once the Zigbee traffic allows.
+  #queuePut (resource, body, priority, timeout) {
+    const put = {
+      body: structuredClone(body),
+      callers: 0,
+      controller: new AbortController(),
+      priority,
+      timeout
+    }
+    this.pendingPuts[resource] = put
+    put.promise = (async () => {
+      try {
+        await this._trafficModel.schedule(
+          resource, put.body, put.controller.signal, priority
+        )
+      } finally {
+        if (this.pendingPuts[resource] === put) {
+          delete this.pendingPuts[resource]
+        }
+      }
+      const options = { priority: put.priority, signal: put.controller.signal }
+      if (put.timeout != null) {
+        options.timeout = put.timeout
+      }
+      if (apiV1Resources.includes(resource.slice(1).split('/')[0])) {
+        return this.request('PUT', resource, put.body, 0, undefined, options)
+      } else {
+        return this.request2('PUT', resource, put.body, 0, undefined, options)
+      }
+    })()
+    put.promise.catch(() => {}) // handled by callers
+    return put
+  }
+
+  // Raise the priority and shorten the timeout of a delayed PUT request to
+  // those of a new caller.
+  #raisePut (put, priority, timeout) {
+    const priorities = RequestScheduler.priorities
+    if (priorities.indexOf(priority) < priorities.indexOf(put.priority)) {
+      put.priority = priority
+      this._trafficModel.raisePriority(put.controller.signal, priority)
+    }
+    if (timeout != null && (put.timeout == null || timeout < put.timeout)) {
+      put.timeout = timeout
     }
   }
 
@@ -372,32 +581,30 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
     *
     * @param {string} resource - The resource.
     * @param {*} body - The body, which will be converted to JSON.
+    * @param {HueClient.RequestOptions} [options] - Request options.
     * @return {HueResponse} response - The response.
     * @throws {HueError} In case of error.
     */
-  async post (resource, body) {
+  async post (resource, body, options) {
     if (apiV1Resources.includes(resource.slice(1).split('/')[0])) {
-      this.path = this._options.path
-      return this.request('POST', resource, body)
+      return this.request('POST', resource, body, 0, undefined, options)
     } else {
-      this.path = '/clip/v2/resource'
-      return this.request2('POST', resource, body)
+      return this.request2('POST', resource, body, 0, undefined, options)
     }
   }
 
   /** Issue a DELETE request of `/api/`_apiKey_`/`_resource_.
     * @param {string} resource - The resource.
     * @param {*} body - The body, which will be converted to JSON.
+    * @param {HueClient.RequestOptions} [options] - Request options.
     * @return {HueResponse} response - The response.
     * @throws {HueError} In case of error.
     */
-  async delete (resource, body) {
+  async delete (resource, body, options) {
     if (apiV1Resources.includes(resource.slice(1).split('/')[0])) {
-      this.path = this._options.path
-      return this.request('DELETE', resource, body)
+      return this.request('DELETE', resource, body, 0, undefined, options)
     } else {
-      this.path = '/clip/v2/resource'
-      return this.request2('DELETE', resource, body)
+      return this.request2('DELETE', resource, body, 0, undefined, options)
     }
   }
 
@@ -409,10 +616,12 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
     *
     * Before calling `getApiKey`, the link button on the Hue bridge must be
     * pressed.
+    * @param {string} application - The application name.
+    * @param {HueClient.RequestOptions} [options] - Request options.
     * @return {string} apiKey - The newly created API key.
     * @throws {HueError} In case of error.
     */
-  async getApiKey (application) {
+  async getApiKey (application, options) {
     if (typeof application !== 'string' || application === '') {
       throw new TypeError(`${application}: invalid application name`)
     }
@@ -423,8 +632,9 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
     }
     this.apiKey = null
     try {
-      this.path = '/api'
-      const response = await this.request('POST', '/', body)
+      const response = await this.request(
+        'POST', '/', body, 0, '/api', options
+      )
       this.apiKey = response.success.username
       return this.apiKey
     } catch (error) {
@@ -435,12 +645,14 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
 
   /** Return the PSK identity for setting up the DTLS connection.
     *
+    * @param {HueClient.RequestOptions} [options] - Request options.
     * @return {string} applicationId - The Application ID.
     * @throws {HueError} In case of error.
     */
-  async getApplicationId () {
-    this.path = '/'
-    const { headers } = await this.request2('GET', '/auth/v1')
+  async getApplicationId (options) {
+    const { headers } = await this.request2(
+      'GET', '/auth/v1', null, 0, '', options
+    )
     return headers['hue-application-id']
   }
 
@@ -499,39 +711,54 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
 
   // ===========================================================================
 
-  /** Check Hue bridge server identity
+  /** Check Hue bridge server identity.
+    *
+    * Accepts the certificates issued by the Philips Hue `root-bridge` CA, and
+    * by the newer Signify `Hue Root CA 01`.
+    * Checks the certificate against the pinned fingerprint, or pins the
+    * certificate, when no fingerprint has been pinned yet.
     * @params {string} hostname - The hostname of the Hue bridge.
     * @params {object} cert - The SSL certificate of the Hue bridge.
     * @returns {Error} For invalid SSL certificate.
     */
   checkServerIdentity (hostname, cert) {
-    // if (this._options.fingerprint != null) {
-    //   if (cert.fingerprint256 !== this._options.fingerprint) {
-    //     return new Error('SSL certificate fingerprint mismatch')
-    //   }
-    //   return
-    // }
     if (
       cert.subject == null ||
       cert.subject.C !== 'NL' ||
-      cert.subject.O !== 'Philips Hue' ||
-      cert.subject.CN.toUpperCase() !== this.bridgeId ||
-      ('00' + cert.serialNumber).slice(-16) !== this.bridgeId
+      !['Philips Hue', 'Signify Hue'].includes(cert.subject.O) ||
+      cert.subject.CN?.toUpperCase() !== this.bridgeId
     ) {
       return new Error('invalid SSL certificate')
     }
-    if (
-      cert.issuer == null ||
-      cert.issuer.C !== 'NL' ||
-      cert.issuer.O !== 'Philips Hue' || (
-        cert.issuer.CN.toUpperCase() !== this.bridgeId &&
+    if (cert.issuer == null || cert.issuer.C !== 'NL') {
+      return new Error('invalid issuer certificate')
+    }
+    if (cert.issuer.O === 'Philips Hue') {
+      if (('00' + cert.serialNumber).slice(-16) !== this.bridgeId) {
+        return new Error('invalid SSL certificate')
+      }
+      if (
+        cert.issuer.CN?.toUpperCase() !== this.bridgeId &&
         cert.issuer.CN !== 'root-bridge'
-      )
-    ) {
+      ) {
+        return new Error('invalid issuer certificate')
+      }
+    } else if (cert.issuer.O !== 'Signify Hue') {
       return new Error('invalid issuer certificate')
     }
-    // Pin certificate.
-    // this._options.fingerprint = cert.fingerprint256
+    if (this._options.fingerprint != null) {
+      if (cert.fingerprint256 !== this._options.fingerprint) {
+        return new Error('SSL certificate fingerprint mismatch')
+      }
+      return
+    }
+    this._options.fingerprint = cert.fingerprint256
+    /** Emitted when the SSL certificate of the Hue bridge has been pinned.
+      * @event HueClient#pinned
+      * @param {string} fingerprint - The SHA-256 fingerprint of the
+      * certificate.
+      */
+    this.emit('pinned', cert.fingerprint256)
   }
 
   /** Issue an API v1 HTTP(S) request to the Hue bridge.
@@ -544,12 +771,23 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
     * @param {string} method - The method for the request.
     * @param {!string} resource - The resource for the request.
     * @param {?*} body - The body for the request.
+    * @param {integer} [retry=0] - The number of times the request has been
+    * resent.
+    * @param {string} [path] - The base path for the request.
+    * Defaults to `/api/`_apiKey_.
+    * @param {HueClient.RequestOptions} [options] - Request options.
     * @return {HueResponse} response - The response.
     * @throws {HueError} In case of error.
     */
-  async request (method, resource, body = null, retry = 0) {
+  async request (
+    method, resource, body = null, retry = 0, path = this._options.path,
+    options
+  ) {
     try {
-      const httpResponse = await super.request(method, resource, body)
+      const httpResponse = await this.#request(
+        method, path + (resource === '/' ? '' : resource), body,
+        undefined, { resource }, options
+      )
       if (httpResponse.headers['content-length'] === '0') {
         httpResponse.body = null
       }
@@ -567,17 +805,8 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
       }
       return response
     } catch (error) {
-      if (
-        error.code === 'ECONNRESET' ||
-        error.statusCode === 503 ||
-        error.type === 901
-      ) {
-        if (error.request != null && this._options.waitTimeResend > 0 && retry < 5) {
-          error.message += ' - retry in ' + this._options.waitTimeResend + 'ms'
-          this.emit('error', error)
-          await timeout(this._options.waitTimeResend)
-          return this.request(method, resource, body, retry + 1)
-        }
+      if (await this.#retry(error, method, retry, options)) {
+        return this.request(method, resource, body, retry + 1, path, options)
       }
       throw error
     }
@@ -593,13 +822,22 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
     * @param {string} method - The method for the request.
     * @param {!string} resource - The resource for the request.
     * @param {?*} body - The body for the request.
+    * @param {integer} [retry=0] - The number of times the request has been
+    * resent.
+    * @param {string} [path='/clip/v2/resource'] - The base path for the
+    * request.
+    * @param {HueClient.RequestOptions} [options] - Request options.
     * @return {HueResponse} response - The response.
     * @throws {HueError} In case of error.
     */
-  async request2 (method, resource, body = null, retry = 0) {
+  async request2 (
+    method, resource, body = null, retry = 0, path = '/clip/v2/resource',
+    options
+  ) {
     try {
-      const httpResponse = await super.request(
-        method, resource, body, this._options.headers
+      const httpResponse = await this.#request(
+        method, path + resource, body, this._options.headers,
+        { resource }, options
       )
       const response = new HueResponse(httpResponse)
       for (const error of response.errors) {
@@ -613,20 +851,215 @@ IYSgwwxHXm73/JgcU9lAM6c8Bmu3UE3kBIUwBs1qXFw=
       }
       return response
     } catch (error) {
-      if (
-        error.code === 'ECONNRESET' ||
-        error.statusCode === 503 ||
-        error.type === 901
-      ) {
-        if (error.request != null && this._options.waitTimeResend > 0 && retry < 5) {
-          error.message += ' - retry in ' + this._options.waitTimeResend + 'ms'
-          this.emit('error', error)
-          await timeout(this._options.waitTimeResend)
-          return this.request(method, resource, body, retry + 1)
+      if (await this.#retry(error, method, retry, options)) {
+        return this.request2(method, resource, body, retry + 1, path, options)
+      }
+      throw error
+    }
+  }
+
+  // Wait before resending a failed request, as per the retry policy.
+  // Returns whether the request should be resent.
+  async #retry (error, method, retry, options) {
+    if (
+      error.request == null ||
+      !this._options.retryPolicy.shouldRetry(error, method, retry)
+    ) {
+      return false
+    }
+    const delay = this._options.retryPolicy.delay(retry + 1)
+    error.message += ' - retry in ' + delay + 'ms'
+    this.emit('error', error)
+    try {
+      await setTimeout(delay, undefined, { signal: options?.signal })
+    } catch (error) {
+      options.signal.throwIfAborted()
+      throw error
+    }
+    return true
+  }
+
+  /** Find the Hue bridge on the network, after it has changed host.
+    *
+    * Uses {@link HueDiscovery#find find()} of the `resolver` to find the
+    * Hue bridge by its ID.
+    * When found on a different host, requests are sent to the new host from
+    * now on, and a {@link HueClient#event:hostChanged hostChanged} event is
+    * emitted.
+    *
+    * This method is called automatically when the Hue bridge is considered
+    * down, and after each failed attempt to reach it again.
+    * Concurrent calls share a single search.
+    * @return {?string} host - The new host, or `null` when the host hasn't
+    * changed, the bridge wasn't found, or there's no `resolver`.
+    */
+  async resolveHost () {
+    if (this._options.resolver == null) {
+      return null
+    }
+    if (this.resolving == null) {
+      this.resolving = this.#resolveHost().finally(() => {
+        delete this.resolving
+      })
+    }
+    return this.resolving
+  }
+
+  async #resolveHost () {
+    let host
+    try {
+      host = await this._options.resolver.find(this.bridgeId, {
+        stealth: !this._options.resolvePortal
+      })
+    } catch (error) {
+      this.warn('%s: cannot find bridge: %s', this.bridgeId, error.message)
+      return null
+    }
+    const oldHost = this.host
+    if (host == null || host === OptionParser.toHost('host', oldHost).hostname) {
+      return null
+    }
+    this.host = host
+    this.failures = 0
+    if (this.bridgeDown) {
+      // Probe the new host on the next request.
+      this.bridgeDownSince = 0
+    }
+    /** Emitted when the Hue bridge has been found on a different host.
+      * @event HueClient#hostChanged
+      * @param {string} oldHost - The previous host.
+      * @param {string} host - The new host.
+      */
+    this.emit('hostChanged', oldHost, host)
+    return host
+  }
+
+  // Circuit breaker: fail fast while the bridge is down, except for a single
+  // request once resetTime has passed.
+  // Returns true when the request is to probe whether the bridge is up again.
+  #checkBridgeDown () {
+    if (!this.bridgeDown) {
+      return false
+    }
+    const now = Date.now()
+    if (this.probing || now - this.bridgeDownSince < this._options.resetTime * 1000) {
+      throw new Error('bridge down')
+    }
+    return true
+  }
+
+  // Update the circuit breaker with the result of a request.
+  #bridgeResult (error, probing) {
+    if (probing) {
+      this.probing = false
+    }
+    if (
+      error == null || error.request == null || (
+        error.statusCode != null && error.statusCode !== 408
+      )
+    ) {
+      // The bridge responded, or the request wasn't sent.
+      if (error == null || error.request != null) {
+        this.failures = 0
+        if (this.bridgeDown) {
+          this.bridgeDown = false
+          /** Emitted when the Hue bridge responds again, after it was
+            * considered down.
+            * @event HueClient#bridgeUp
+            */
+          this.emit('bridgeUp')
         }
       }
+      return
+    }
+    this.failures++
+    if (this.bridgeDown) {
+      if (probing) {
+        this.bridgeDownSince = Date.now()
+        this.resolveHost()
+      }
+    } else if (
+      this._options.failureThreshold > 0 &&
+      this.failures >= this._options.failureThreshold
+    ) {
+      this.bridgeDown = true
+      this.bridgeDownSince = Date.now()
+      /** Emitted when too many requests in a row have failed to reach the
+        * Hue bridge.
+        * Until the bridge responds again, requests fail immediately, except for
+        * a single request every `resetTime` seconds.
+        * @event HueClient#bridgeDown
+        * @param {HttpClient.HttpError} error - The error of the last request.
+        */
+      this.emit('bridgeDown', error)
+      this.resolveHost()
+    }
+  }
+
+  // Issue the HTTP request, honouring the request options.
+  async #request (method, resource, body, headers, info, options) {
+    const { priority, signal, timeout } = parseRequestOptions(options)
+    signal?.throwIfAborted()
+    this.#checkBridgeDown()
+    const release = await this._scheduler.acquire(priority, signal)
+    // Only claim the probe once the request is about to be sent, so a request
+    // that is aborted while waiting for a slot doesn't hold on to it.
+    let probing
+    try {
+      probing = this.#checkBridgeDown()
+    } catch (error) {
+      release()
       throw error
     }
+    if (probing) {
+      this.probing = true
+    }
+    const promise = super.request(
+      method, resource, body, headers, undefined, info
+    )
+    // The HTTP request keeps its slot until it has finished, even when the
+    // caller no longer waits for it.
+    promise.then(() => { release() }, () => { release() })
+    try {
+      const response = await this.#waitForResponse(promise, signal, timeout, {
+        ...info, name: this.name, method, resource, body
+      })
+      this.#bridgeResult(null, probing)
+      return response
+    } catch (error) {
+      this.#bridgeResult(error, probing)
+      throw error
+    }
+  }
+
+  // Wait for the response to an HTTP request, until signal is aborted, or
+  // until the request timeout, when shorter than the client's timeout.
+  async #waitForResponse (promise, signal, timeout, request) {
+    const signals = signal == null ? [] : [signal]
+    if (timeout != null && timeout < this._options.timeout) {
+      signals.push(AbortSignal.timeout(timeout * 1000))
+    }
+    if (signals.length === 0) {
+      return promise
+    }
+    promise.catch(() => {}) // handled below
+    const aborted = AbortSignal.any(signals)
+    let onAbort
+    try {
+      return await Promise.race([promise, new Promise((resolve, reject) => {
+        onAbort = () => {
+          reject(signal?.aborted
+            ? signal.reason
+            : new HttpClient.HttpError(
+              `timeout after ${timeout} seconds`, request, 408, 'Request Timeout'
+            )
+          )
+        }
+        aborted.addEventListener('abort', onAbort, { once: true })
+      })])
+    } finally {
+      aborted.removeEventListener('abort', onAbort)
+    }
   }
 }
 
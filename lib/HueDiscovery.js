@@ -4,11 +4,78 @@
 // Copyright © 2018-2026 Erik Baauw. All rights reserved.
 
 import { EventEmitter } from 'node:events'
+import { isIPv4 } from 'node:net'
+import { networkInterfaces } from 'node:os'
 
 import { HttpClient } from 'hb-lib-tools/HttpClient'
 import { OptionParser } from 'hb-lib-tools/OptionParser'
 
+import { HueClient } from 'hb-hue-tools/HueClient'
+
+// Convert a dotted IPv4 address to an integer, and back.
+function ipToInt (ip) {
+  return ip.split('.').reduce((n, byte) => n * 256 + parseInt(byte), 0)
+}
+function intToIp (n) {
+  return [n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].join('.')
+}
+
+// Return the host addresses of an IPv4 subnet in CIDR notation, e.g.
+// `192.168.1.0/24`.
+// Subnets larger than `/20` are refused.
+function subnetHosts (cidr, minPrefix = 20) {
+  const [address, bits, ...rest] = cidr.split('/')
+  const prefix = bits == null ? 32 : parseInt(bits)
+  if (
+    !isIPv4(address) || rest.length > 0 || !/^\d+$/.test(bits ?? '32') ||
+    prefix < minPrefix || prefix > 32
+  ) {
+    throw new RangeError(`${cidr}: invalid subnet`)
+  }
+  const size = 2 ** (32 - prefix)
+  const network = ipToInt(address) - ipToInt(address) % size
+  const hosts = []
+  if (size <= 2) {
+    for (let n = network; n < network + size; n++) {
+      hosts.push(intToIp(n))
+    }
+  } else {
+    // Skip the network and broadcast addresses.
+    for (let n = network + 1; n < network + size - 1; n++) {
+      hosts.push(intToIp(n))
+    }
+  }
+  return hosts
+}
+
+// Return the subnets of the local IPv4 interfaces, narrowed to `/24`.
+function localSubnets () {
+  const subnets = []
+  for (const addresses of Object.values(networkInterfaces())) {
+    for (const { address, cidr, family, internal } of addresses) {
+      if (family !== 'IPv4' || internal) {
+        continue
+      }
+      const prefix = parseInt(cidr.split('/')[1])
+      subnets.push(address + '/' + Math.max(prefix, 24))
+    }
+  }
+  return subnets
+}
+
+// Return host without the default HTTP or HTTPS port.
+function normaliseHost (host) {
+  const { hostname, port } = OptionParser.toHost('host', host)
+  return port == null || port === 80 || port === 443
+    ? hostname
+    : hostname + ':' + port
+}
+
 /** Class for discovery of Hue bridges.
+  *
+  * Use {@link HueDiscovery#discover discover()} for a one-time search, or
+  * {@link HueDiscovery#monitor monitor()} to keep track of the Hue bridges
+  * on the network.
   *
   * See the [Hue API](https://developers.meethue.com/develop/get-started-2/)
   * documentation for a better understanding of the API.
@@ -36,8 +103,44 @@ class HueDiscovery extends EventEmitter {
     for (const f of ['warn', 'log', 'debug', 'vdebug', 'vvdebug']) {
       this[f] = this._options.logger?.[f]?.bind(this._options.logger) ?? (() => {})
     }
+    this._registry = {}
+    this.searches = new Set()
   }
 
+  /** A bridge in the registry.
+    * @typedef {object} HueDiscovery.Bridge
+    * @property {string} host - The host (IP address or hostname).
+    * @property {object} config - The return value of
+    * {@link HueDiscovery#config config()}.
+    * @property {boolean} up - Whether the bridge is up.
+    */
+
+  /** A bridge found by {@link HueDiscovery#discover discover()}.
+    * @typedef {object} HueDiscovery.DiscoveredBridge
+    * @property {string} bridgeid - The ID of the bridge.
+    * @property {string} model - The model ID of the bridge.
+    * @property {boolean} isHue2 - Whether the bridge supports API v2, see
+    * {@link HueClient.isHue2Bridge}.
+    * @property {object} config - The return value of
+    * {@link HueDiscovery#config config()}.
+    * @property {string[]} methods - The search methods that found the
+    * bridge: `mdns`, `upnp`, `meethue.com`, and/or `scan`.
+    * @property {object[]} addresses - The addresses of the bridge, each with
+    * the `host` (IP address or hostname), the search `methods` that found it,
+    * and the `latency` (in milliseconds) of the response to
+    * {@link HueDiscovery#config config()}.
+    * @property {boolean} hasApiKey - Whether an API key is known for the
+    * bridge, as returned by `params.hasApiKey` to
+    * {@link HueDiscovery#discover discover()}.
+    */
+
+  /** The registry of bridges found by {@link HueDiscovery#monitor monitor()},
+    * by bridge ID.
+    * @type {Object<string, HueDiscovery.Bridge>}
+    * @readonly
+    */
+  get registry () { return this._registry }
+
   /** Issue an unauthenticated GET request of `/api/config` to given host.
     *
     * @param {string} host - The IP address or hostname and port of the Hue bridge.
@@ -45,14 +148,25 @@ class HueDiscovery extends EventEmitter {
     * @throws {HttpError} In case of error.
     */
   async config (host) {
+    try {
+      return await this.#config(host, this._options.logger)
+    } catch (error) {
+      if (error.request != null && !(error instanceof HttpClient.HttpError)) {
+        this.emit('error', error)
+      }
+      throw error
+    }
+  }
+
+  async #config (host, logger) {
     const { hostname, port } = OptionParser.toHost('host', host)
     const https = port === 443
     const client = new HttpClient({
-      host: hostname,
+      host,
       https,
       json: true,
       name: host + ' config',
-      logger: this._options.logger,
+      logger,
       path: '/api',
       selfSignedCertificate: https,
       timeout: this._options.timeout,
@@ -60,7 +174,7 @@ class HueDiscovery extends EventEmitter {
     })
     const { body, request, statusCode } = await client.get('/config')
     if (statusCode === 301) {
-      return this.config(hostname + ':443')
+      return this.#config(hostname + ':443', logger)
     }
     if (
       body == null || typeof body !== 'object' ||
@@ -71,13 +185,11 @@ class HueDiscovery extends EventEmitter {
     ) {
       const error = new Error('invalid response')
       error.request = request
-      this.emit('error', error)
       throw error
     }
     if (/^00212E[0-9A-F]{10}$/.test(body.bridgeid)) {
       const error = new Error(`${host}: deCONZ gateway no longer supported`)
       error.request = request
-      this.emit('error', error)
       throw error
     }
     return body
@@ -98,7 +210,7 @@ class HueDiscovery extends EventEmitter {
     const { hostname, port } = OptionParser.toHost('host', host)
     const https = port === 443
     const options = {
-      host: hostname,
+      host,
       https,
       logger: this._options.logger,
       name: host + ' description',
@@ -121,35 +233,375 @@ class HueDiscovery extends EventEmitter {
     * mDNS (Bonjour) and UPnP.
     * Calls {@link HueDiscovery#config config()} for each discovered bridge
     * for verification.
+    *
+    * Where mDNS and UPnP are blocked, e.g. across VLANs or from a Docker
+    * bridge network, a subnet scan can be added, that calls
+    * {@link HueDiscovery#config config()} on each address of the given
+    * subnets, not already found by the other methods.
     * @param {object} params - Parameters.
     * @param {boolean} [params.stealth=false] - Don't query discovery portals.
-    * @return {object} response - Response object with a key/value pair per
-    * found bridge.  The key is the host (IP address or hostname), the value is
-    * the return value of {@link HueDiscovery#config config()}.
+    * @param {boolean} [params.scan=false] - Scan subnets.
+    * @param {string[]} [params.subnets] - The IPv4 subnets to scan, in CIDR
+    * notation, e.g. `192.168.1.0/24`, from `/20` to `/32`.
+    * Defaults to the subnets of the local interfaces, narrowed to `/24`.
+    * Implies `params.scan`.
+    * @param {integer} [params.concurrency=32] - Maximum number of addresses
+    * to scan at once.
+    * @param {function} [params.hasApiKey] - Function that takes a bridge ID,
+    * and returns whether an API key is known for the bridge, e.g. from a
+    * key store.
+    * Without this function, `hasApiKey` is `false` for each bridge.
+    * @return {Object<string, HueDiscovery.DiscoveredBridge>} response - The
+    * bridges found, by bridge ID.
     */
   async discover (params = {}) {
+    return this.#discover(params)
+  }
+
+  // Discover Hue bridges, calling onVerified for each verified bridge.
+  async #discover (params, onVerified) {
     const options = {
+      concurrency: 32,
+      scan: false,
       stealth: false
     }
     const optionParser = new OptionParser(options)
     optionParser
+      .intKey('concurrency', 1, 256)
+      .functionKey('hasApiKey')
+      .boolKey('scan')
       .boolKey('stealth')
+      .listKey('subnets')
       .parse(params)
+    let hosts
+    if (options.scan || options.subnets != null) {
+      hosts = []
+      for (const subnet of options.subnets ?? localSubnets()) {
+        hosts.push(...subnetHosts(subnet))
+      }
+    }
 
-    this.bridgeMap = {}
-    this.jobs = []
-    this.jobs.push(this.#mdns())
-    this.jobs.push(this.#upnp())
-    if (!options.stealth) {
-      this.jobs.push(this.#nupnp())
+    const search = this.#startSearch(options.hasApiKey, (bridge) => {
+      /** Emitted by {@link HueDiscovery#discover discover()} when a bridge
+        * has been verified.
+        * @event HueDiscovery#verified
+        * @param {HueDiscovery.DiscoveredBridge} bridge - The bridge.
+        */
+      this.emit('verified', bridge)
+      onVerified?.(bridge)
+    })
+    try {
+      search.jobs.push(this.#mdns())
+      search.jobs.push(this.#upnp())
+      if (!options.stealth) {
+        search.jobs.push(this.#nupnp())
+      }
+      for (const job of search.jobs) {
+        await job
+      }
+      if (hosts != null) {
+        await this.#scan(search, new Set(hosts), options.concurrency)
+      }
+    } finally {
+      this.searches.delete(search)
+    }
+    return search.bridges
+  }
+
+  /** Discover Hue bridges, yielding each bridge as soon as it has been
+    * verified.
+    *
+    * Takes the same parameters as {@link HueDiscovery#discover discover()}.
+    * Note that the `methods` and `addresses` of a bridge might still grow,
+    * after it has been yielded.
+    * @param {object} params - Parameters.
+    * @yields {HueDiscovery.DiscoveredBridge} The next bridge.
+    */
+  async * discoverStream (params = {}) {
+    const queue = []
+    let wakeup
+    const onVerified = (bridge) => {
+      queue.push(bridge)
+      wakeup?.()
+    }
+    let done = false
+    const discovery = this.#discover(params, onVerified).finally(() => {
+      done = true
+      wakeup?.()
+    })
+    discovery.catch(() => {}) // rethrown below
+    try {
+      while (true) {
+        if (queue.length > 0) {
+          yield queue.shift()
+        } else if (done) {
+          break
+        } else {
+          await new Promise((resolve) => { wakeup = resolve })
+          wakeup = null
+        }
+      }
+      await discovery
+    } finally {
+      wakeup = null
+    }
+  }
+
+  /** Find a Hue bridge by its ID.
+    *
+    * Does a local search over mDNS (Bonjour) and UPnP, and, when the bridge
+    * isn't found locally, queries the MeetHue portal.
+    * Calls {@link HueDiscovery#config config()} for each discovered bridge
+    * to verify its ID.
+    * @param {string} bridgeid - The ID of the bridge.
+    * @param {object} params - Parameters.
+    * @param {boolean} [params.stealth=false] - Don't query discovery portals.
+    * @return {?string} host - The host (IP address or hostname) of the
+    * bridge, or `null` when the bridge wasn't found.
+    */
+  async find (bridgeid, params = {}) {
+    bridgeid = OptionParser.toString('bridgeid', bridgeid, true).toUpperCase()
+    const options = {
+      stealth: false
+    }
+    const optionParser = new OptionParser(options)
+    optionParser
+      .boolKey('stealth')
+      .parse(params)
+
+    const search = this.#startSearch()
+    try {
+      search.jobs.push(this.#mdns())
+      search.jobs.push(this.#upnp())
+      let host = await this.#match(search, bridgeid)
+      if (host == null && !options.stealth) {
+        search.jobs.push(this.#nupnp())
+        host = await this.#match(search, bridgeid)
+      }
+      return host
+    } finally {
+      this.searches.delete(search)
     }
-    for (const job of this.jobs) {
+  }
+
+  // Wait for the jobs of search and return the host of bridgeid.
+  async #match (search, bridgeid) {
+    for (const job of search.jobs) {
       await job
     }
-    return this.bridgeMap
+    return search.bridges[bridgeid]?.addresses[0].host ?? null
   }
 
-  #found (name, id, host) {
+  // Start a search by discover() or find().
+  // Each call has its own search, so concurrent calls don't mix their
+  // results.  A bridge found by the mDNS, UPnP, or portal query of one call
+  // is added to each search in progress.
+  #startSearch (hasApiKey = () => false, onVerified) {
+    const search = { bridges: {}, hosts: {}, jobs: [], hasApiKey, onVerified }
+    this.searches.add(search)
+    return search
+  }
+
+  /** Monitor the network for Hue bridges.
+    *
+    * Keeps listening for mDNS (Bonjour) and UPnP announcements, and searches
+    * for bridges every `params.interval` seconds, over mDNS, UPnP, and,
+    * unless in stealth mode, the MeetHue portal.
+    * Calls {@link HueDiscovery#config config()} for each discovered bridge,
+    * and for each known bridge that wasn't discovered, once per search.
+    * The bridges are kept in the {@link HueDiscovery#registry registry}.
+    *
+    * Resolves when the first search has completed.
+    * @param {object} params - Parameters.
+    * @param {integer} [params.interval=60] - Time (in seconds) between
+    * searches.
+    * @param {boolean} [params.stealth=false] - Don't query discovery portals.
+    */
+  async monitor (params = {}) {
+    const options = {
+      interval: 60,
+      stealth: false
+    }
+    const optionParser = new OptionParser(options)
+    optionParser
+      .intKey('interval', 10, 3600)
+      .boolKey('stealth')
+      .parse(params)
+    if (this.monitoring != null) {
+      return
+    }
+    this.monitoring = options
+    this.cycle = 0
+    this.checks = {}
+    const mdnsClient = await this.#mdnsClient()
+    mdnsClient.listen()
+    const upnpClient = await this.#upnpClient()
+    upnpClient.listen()
+    const search = async () => {
+      try {
+        await this.#search()
+      } catch (error) { this.emit('error', error) }
+      if (this.monitoring != null) {
+        this.monitorTimer = setTimeout(search, options.interval * 1000)
+      }
+    }
+    await search()
+  }
+
+  /** Stop monitoring the network for Hue bridges.
+    */
+  async stopMonitor () {
+    if (this.monitoring == null) {
+      return
+    }
+    delete this.monitoring
+    clearTimeout(this.monitorTimer)
+    delete this.monitorTimer
+    this.mdnsClient?.stopListen()
+    this.upnpClient?.stopListen()
+  }
+
+  // Search for bridges, check the known bridges that weren't found, and
+  // update the registry.
+  async #search () {
+    const cycle = ++this.cycle
+    this.checks = {}
+    const jobs = [this.#mdns(), this.#upnp()]
+    if (!this.monitoring.stealth) {
+      jobs.push(this.#nupnp())
+    }
+    await Promise.all(jobs)
+    for (const id in this._registry) {
+      const bridge = this._registry[id]
+      if (bridge.up) {
+        this.#check(bridge.host)
+      }
+    }
+    // Announcements received meanwhile might have added checks.
+    const done = new Set()
+    let checks
+    while (
+      (checks = Object.values(this.checks).filter((c) => !done.has(c))).length > 0
+    ) {
+      await Promise.all(checks)
+      checks.forEach((check) => done.add(check))
+    }
+    if (this.monitoring == null) {
+      return
+    }
+    for (const id in this._registry) {
+      const bridge = this._registry[id]
+      if (bridge.up && bridge.cycle < cycle) {
+        bridge.up = false
+        /** Emitted by {@link HueDiscovery#monitor monitor()} when a bridge
+          * can no longer be reached.
+          * @event HueDiscovery#bridgeDown
+          * @param {string} bridgeid - The ID of the bridge.
+          * @param {string} host - The last known host of the bridge.
+          */
+        this.emit('bridgeDown', id, bridge.host)
+      }
+    }
+  }
+
+  // Check the bridge at host, unless already checked in this search.
+  #check (host) {
+    if (this.checks[host] != null) {
+      return
+    }
+    const check = this.config(host).then((config) => {
+      this.#update(host, config)
+    }).catch((error) => {
+      // Check again on the next announcement.
+      if (this.checks[host] === check) {
+        delete this.checks[host]
+      }
+      if (error.request == null) {
+        this.emit('error', error)
+      }
+    })
+    this.checks[host] = check
+  }
+
+  #update (host, config) {
+    if (this.monitoring == null) {
+      return
+    }
+    const id = config.bridgeid
+    const bridge = this._registry[id]
+    if (bridge == null || !bridge.up) {
+      this._registry[id] = { host, config, up: true, cycle: this.cycle }
+      /** Emitted by {@link HueDiscovery#monitor monitor()} when a bridge
+        * has been found, or can be reached again.
+        * @event HueDiscovery#bridgeUp
+        * @param {string} bridgeid - The ID of the bridge.
+        * @param {string} host - The host (IP address or hostname) of the
+        * bridge.
+        * @param {object} config - The return value of
+        * {@link HueDiscovery#config config()}.
+        */
+      this.emit('bridgeUp', id, host, config)
+      return
+    }
+    const changes = {}
+    if (bridge.host !== host) {
+      changes.host = { from: bridge.host, to: host }
+    }
+    for (const key of ['swversion', 'apiversion']) {
+      if (bridge.config[key] !== config[key]) {
+        changes[key] = { from: bridge.config[key], to: config[key] }
+      }
+    }
+    bridge.host = host
+    bridge.config = config
+    bridge.cycle = this.cycle
+    if (Object.keys(changes).length > 0) {
+      /** Emitted by {@link HueDiscovery#monitor monitor()} when the host,
+        * the firmware version, or the API version of a bridge has changed.
+        * @event HueDiscovery#bridgeChanged
+        * @param {string} bridgeid - The ID of the bridge.
+        * @param {object} changes - The changed values, with `from` and `to`,
+        * by key: `host`, `swversion`, and/or `apiversion`.
+        */
+      this.emit('bridgeChanged', id, changes)
+    }
+  }
+
+  // Call config() on each host not yet found by search, with limited
+  // concurrency.
+  async #scan (search, hosts, concurrency) {
+    this.debug('scan: scanning %d addresses', hosts.size)
+    const queue = [...hosts]
+    const worker = async () => {
+      let host
+      while ((host = queue.shift()) != null) {
+        if (search.hosts[host] != null) {
+          continue
+        }
+        try {
+          // Don't log the errors of the addresses without a Hue bridge.
+          const start = Date.now()
+          const config = await this.#config(host)
+          this.#found('scan', config.bridgeid, host, {
+            config, latency: Date.now() - start
+          }, search)
+        } catch (error) {
+          if (error.request == null) {
+            this.emit('error', error)
+          }
+        }
+      }
+    }
+    const workers = []
+    for (let i = 0; i < Math.min(concurrency, queue.length); i++) {
+      workers.push(worker())
+    }
+    await Promise.all(workers)
+    this.debug('scan: done')
+  }
+
+  // Add a bridge found at host to search, or to each search in progress.
+  #found (name, id, host, response, search) {
     this.debug('%s: found %s at %s', name, id, host)
     /** Emitted when a potential bridge has been found.
       * @event HueDiscovery#found
@@ -158,23 +610,84 @@ class HueDiscovery extends EventEmitter {
       * @param {string} host - The IP address/hostname of the bridge.
       */
     this.emit('found', name, id, host)
-    const { hostname } = OptionParser.toHost('host', host)
-    if (this.bridgeMap[hostname] == null) {
-      this.bridgeMap[hostname] = id
-      this.jobs.push(
-        this.config(host).then((config) => {
-          this.bridgeMap[hostname] = config
-        }).catch((error) => {
-          delete this.bridgeMap[hostname]
-          if (error.request == null) {
-            this.emit('error', error)
-          }
-        })
-      )
+    host = normaliseHost(host)
+    if (this.monitoring != null) {
+      this.#check(host)
+    }
+    for (const s of search == null ? this.searches : [search]) {
+      this.#addHost(s, name, host, response)
+    }
+  }
+
+  #addHost (search, name, host, response) {
+    if (search.hosts[host] != null) {
+      // Already found by another method.
+      const address = search.hosts[host]
+      if (!address.methods.includes(name)) {
+        address.methods.push(name)
+        const bridge = search.bridges[address.bridgeid]
+        if (bridge != null && !bridge.methods.includes(name)) {
+          bridge.methods.push(name)
+        }
+      }
+      return
+    }
+    const address = { host, methods: [name] }
+    search.hosts[host] = address
+    if (response != null) {
+      this.#verified(search, address, response.config, response.latency)
+      return
+    }
+    const start = Date.now()
+    search.jobs.push(
+      this.config(host).then((config) => {
+        this.#verified(search, address, config, Date.now() - start)
+      }).catch((error) => {
+        delete search.hosts[host]
+        if (error.request == null) {
+          this.emit('error', error)
+        }
+      })
+    )
+  }
+
+  // Add a verified address to the bridges found by search.
+  #verified (search, address, config, latency) {
+    const id = config.bridgeid
+    address.bridgeid = id
+    address.latency = latency
+    let bridge = search.bridges[id]
+    const isNew = bridge == null
+    if (isNew) {
+      bridge = {
+        bridgeid: id,
+        model: config.modelid,
+        isHue2: HueClient.isHue2Bridge(config),
+        config,
+        methods: [],
+        addresses: [],
+        hasApiKey: search.hasApiKey(id)
+      }
+      search.bridges[id] = bridge
+    }
+    bridge.addresses.push({
+      host: address.host, methods: address.methods, latency
+    })
+    for (const method of address.methods) {
+      if (!bridge.methods.includes(method)) {
+        bridge.methods.push(method)
+      }
+    }
+    if (isNew) {
+      search.onVerified?.(bridge)
     }
   }
 
   async #mdns () {
+    await (await this.#mdnsClient()).search()
+  }
+
+  async #mdnsClient () {
     if (this.mdnsClient == null) {
       const { MdnsClient } = await import('hb-lib-tools/MdnsClient')
       this.mdnsClient = new MdnsClient({
@@ -187,10 +700,14 @@ class HueDiscovery extends EventEmitter {
           this.#found('mdns', message.txt.bridgeid.toUpperCase(), address)
         })
     }
-    await this.mdnsClient.search()
+    return this.mdnsClient
   }
 
   async #upnp () {
+    await (await this.#upnpClient()).search()
+  }
+
+  async #upnpClient () {
     if (this.upnpClient == null) {
       const { UpnpClient } = await import('hb-lib-tools/UpnpClient')
       this.upnpClient = new UpnpClient({
@@ -201,21 +718,24 @@ class HueDiscovery extends EventEmitter {
         timeout: this._options.timeout
       })
       this.upnpClient
-        .on('deviceFound', (address, obj, message) => {
-          let host
-          const a = obj.location.split('/')
-          if (a.length > 3 && a[2] != null) {
-            host = a[2]
-            const b = host.split(':')
-            const port = parseInt(b[1])
-            if (port === 80) {
-              host = b[0]
-            }
-            this.#found('upnp', obj['hue-bridgeid'], host)
-          }
-        })
+        .on('deviceAlive', (address, obj) => { this.#upnpFound(obj) })
+        .on('deviceFound', (address, obj) => { this.#upnpFound(obj) })
+    }
+    return this.upnpClient
+  }
+
+  #upnpFound (obj) {
+    let host
+    const a = obj.location.split('/')
+    if (a.length > 3 && a[2] != null) {
+      host = a[2]
+      const b = host.split(':')
+      const port = parseInt(b[1])
+      if (port === 80) {
+        host = b[0]
+      }
+      this.#found('upnp', obj['hue-bridgeid'], host)
     }
-    await this.upnpClient.search()
   }
 
   async #nupnp () {
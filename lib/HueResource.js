@@ -0,0 +1,682 @@
+// hb-hue-tools/lib/HueResource.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+
+import { OptionParser } from 'hb-lib-tools/OptionParser'
+
+import { HueClient } from 'hb-hue-tools/HueClient'
+
+// Merge source into target, recursively.
+function merge (target, source) {
+  for (const key in source) {
+    const value = source[key]
+    if (
+      value != null && typeof value === 'object' && !Array.isArray(value) &&
+      target[key] != null && typeof target[key] === 'object' &&
+      !Array.isArray(target[key])
+    ) {
+      merge(target[key], value)
+    } else {
+      target[key] = value
+    }
+  }
+  return target
+}
+
+// Check whether value is a resource reference, i.e. a `rid`/`rtype` pair.
+function isReference (value) {
+  return value != null && typeof value === 'object' &&
+    typeof value.rid === 'string' && typeof value.rtype === 'string'
+}
+
+/** Hue API v2 resource.
+  *
+  * Base class for the typed resources returned by
+  * {@link HueResource.getAll getAll()}.
+  * The `owner`, `children`, and `services` references (the `rid`/`rtype`
+  * pairs) are resolved into links to the referenced resources.
+  *
+  * See the
+  * [Hue API v2](https://developers.meethue.com/develop/hue-api-v2/api-reference/)
+  * documentation for a better understanding of the resources.
+  */
+class HueResource {
+  static get Button () { return Button }
+  static get Device () { return Device }
+  static get DevicePower () { return DevicePower }
+  static get GroupedLight () { return GroupedLight }
+  static get Light () { return Light }
+  static get LightLevel () { return LightLevel }
+  static get Motion () { return Motion }
+  static get Room () { return Room }
+  static get Scene () { return Scene }
+  static get Sensor () { return Sensor }
+  static get Temperature () { return Temperature }
+  static get Zone () { return Zone }
+  static get ZigbeeConnectivity () { return ZigbeeConnectivity }
+
+  /** Map of API v2 resource type to class.
+    * @type {object}
+    */
+  static get types () {
+    return {
+      button: Button,
+      device: Device,
+      device_power: DevicePower,
+      grouped_light: GroupedLight,
+      light: Light,
+      light_level: LightLevel,
+      motion: Motion,
+      room: Room,
+      scene: Scene,
+      temperature: Temperature,
+      zigbee_connectivity: ZigbeeConnectivity,
+      zone: Zone
+    }
+  }
+
+  /** Create a typed resource.
+    * @param {HueClient} client - The client to issue requests through.
+    * @param {object} data - The resource, as returned by the API.
+    * @param {object} [resources={}] - Map of resource ID to resource, to
+    * resolve references.
+    * @returns {HueResource} The resource, as instance of the subclass matching
+    * the resource type, or of `HueResource` for other types.
+    */
+  static create (client, data, resources = {}) {
+    const Class = HueResource.types[data?.type] ?? HueResource
+    return new Class(client, data, resources)
+  }
+
+  /** Retrieve all API v2 resources from the Hue bridge.
+    *
+    * Calls {@link HueClient#get HueClient#get()} to issue a GET request of
+    * `/clip/v2/resource`.
+    * @param {HueClient} client - The client to issue requests through.
+    * @returns {object} Map of resource ID to {@link HueResource}.
+    * @throws {HueError} In case of error.
+    */
+  static async getAll (client) {
+    const resources = {}
+    for (const data of await client.get('/resource')) {
+      resources[data.id] = HueResource.create(client, data, resources)
+    }
+    return resources
+  }
+
+  /** Create a new resource.
+    * @param {HueClient} client - The client to issue requests through.
+    * @param {object} data - The resource, as returned by the API.
+    * @param {object} [resources={}] - Map of resource ID to resource, to
+    * resolve references.
+    */
+  constructor (client, data, resources = {}) {
+    if (!(client instanceof HueClient)) {
+      throw new TypeError('client: not a HueClient')
+    }
+    data = OptionParser.toObject('data', data)
+    OptionParser.toString('data.id', data.id, true)
+    OptionParser.toString('data.type', data.type, true)
+    this._client = client
+    this._data = data
+    this._resources = OptionParser.toObject('resources', resources)
+  }
+
+  /** The client to issue requests through.
+    * @type {HueClient}
+    * @readonly
+    */
+  get client () { return this._client }
+
+  /** The resource, as returned by the API.
+    * @type {object}
+    * @readonly
+    */
+  get data () { return this._data }
+
+  /** The resource ID.
+    * @type {string}
+    * @readonly
+    */
+  get id () { return this._data.id }
+
+  /** The API v1 resource, e.g. `/lights/1`.
+    * @type {?string}
+    * @readonly
+    */
+  get idV1 () { return this._data.id_v1 }
+
+  /** The resource type, e.g. `light`.
+    * @type {string}
+    * @readonly
+    */
+  get type () { return this._data.type }
+
+  /** The resource path, e.g. `/light/`_id_.
+    * @type {string}
+    * @readonly
+    */
+  get resource () { return '/' + this._data.type + '/' + this._data.id }
+
+  /** The resource name, from the resource metadata, or from the owner's
+    * metadata for service resources.
+    * @type {?string}
+    * @readonly
+    */
+  get name () {
+    return this._data.metadata?.name ?? this.owner?.name
+  }
+
+  /** The owner of the resource.
+    * @type {?HueResource}
+    * @readonly
+    */
+  get owner () { return this.link(this._data.owner) }
+
+  /** The children of the resource.
+    * @type {HueResource[]}
+    * @readonly
+    */
+  get children () { return this.links(this._data.children) }
+
+  /** The services of the resource.
+    * @type {HueResource[]}
+    * @readonly
+    */
+  get services () { return this.links(this._data.services) }
+
+  /** Resolve a resource reference.
+    * @param {?object} reference - The `rid`/`rtype` pair.
+    * @returns {?HueResource} The referenced resource, or `null` when unknown.
+    */
+  link (reference) {
+    if (!isReference(reference)) {
+      return null
+    }
+    const resource = this._resources[reference.rid]
+    return resource?.type === reference.rtype ? resource : null
+  }
+
+  /** Resolve a list of resource references.
+    * @param {?object[]} references - The `rid`/`rtype` pairs.
+    * @returns {HueResource[]} The known referenced resources.
+    */
+  links (references = []) {
+    const resources = []
+    for (const reference of references ?? []) {
+      const resource = this.link(reference)
+      if (resource != null) {
+        resources.push(resource)
+      }
+    }
+    return resources
+  }
+
+  /** Update the cached resource data, e.g. from an event stream
+    * notification.
+    * @param {object} data - The changed attributes.
+    */
+  update (data) {
+    merge(this._data, OptionParser.toObject('data', data))
+  }
+
+  /** Retrieve the resource from the Hue bridge and update the cached data.
+    * @throws {HueError} In case of error.
+    */
+  async refresh () {
+    this._data = await this._client.get(this.resource)
+  }
+
+  /** Issue a PUT request to the resource.
+    *
+    * Calls {@link HueClient#put HueClient#put()}.
+    * The cached data is updated on success.
+    * @param {object} body - The body.
+    * @return {HueResponse} response - The response.
+    * @throws {HueError} In case of error.
+    */
+  async put (body) {
+    const response = await this._client.put(this.resource, body)
+    this.update(this._changes(body))
+    return response
+  }
+
+  // Return the changes to the cached data for a PUT request with body,
+  // leaving out the attributes that only apply to the request.
+  _changes (body) {
+    const data = Object.assign({}, body)
+    delete data.dynamics
+    return data
+  }
+}
+
+// Build an API v2 `dynamics` attribute for a transition time.
+function dynamics (duration) {
+  return duration == null
+    ? {}
+    : { dynamics: { duration: OptionParser.toInt('duration', duration, 0) } }
+}
+
+/** Light resource.
+  * @extends HueResource
+  * @memberof HueResource
+  */
+class Light extends HueResource {
+  /** The device of the light.
+    * @type {?HueResource.Device}
+    * @readonly
+    */
+  get device () { return this.owner }
+
+  /** On/off state.
+    * @type {boolean}
+    * @readonly
+    */
+  get on () { return this._data.on?.on }
+
+  /** Brightness, in percent.
+    * @type {?number}
+    * @readonly
+    */
+  get brightness () { return this._data.dimming?.brightness }
+
+  /** Colour temperature, in mirek, or `null` when the light is in xy mode.
+    * @type {?integer}
+    * @readonly
+    */
+  get mirek () {
+    return this._data.color_temperature?.mirek_valid
+      ? this._data.color_temperature.mirek
+      : null
+  }
+
+  /** CIE 1931 colour point.
+    * @type {?object}
+    * @property {number} x - The x-coordinate.
+    * @property {number} y - The y-coordinate.
+    * @readonly
+    */
+  get xy () { return this._data.color?.xy }
+
+  /** Switch the light on or off.
+    * @param {boolean} on - On.
+    * @param {?integer} duration - The transition time (in milliseconds).
+    * @return {HueResponse} response - The response.
+    */
+  async setOn (on, duration) {
+    return this.put(Object.assign(
+      { on: { on: OptionParser.toBool('on', on) } }, dynamics(duration)
+    ))
+  }
+
+  /** Set the brightness.
+    * @param {number} brightness - The brightness, in percent.
+    * @param {?integer} duration - The transition time (in milliseconds).
+    * @return {HueResponse} response - The response.
+    */
+  async setBrightness (brightness, duration) {
+    return this.put(Object.assign({
+      dimming: { brightness: OptionParser.toNumber('brightness', brightness, 0, 100) }
+    }, dynamics(duration)))
+  }
+
+  /** Set the colour temperature.
+    * @param {integer} mirek - The colour temperature, in mirek.
+    * @param {?integer} duration - The transition time (in milliseconds).
+    * @return {HueResponse} response - The response.
+    */
+  async setMirek (mirek, duration) {
+    const schema = this._data.color_temperature?.mirek_schema
+    return this.put(Object.assign({
+      color_temperature: {
+        mirek: OptionParser.toInt(
+          'mirek', mirek, schema?.mirek_minimum ?? 153,
+          schema?.mirek_maximum ?? 500
+        )
+      }
+    }, dynamics(duration)))
+  }
+
+  /** Set the colour.
+    * @param {number} x - The x-coordinate of the CIE 1931 colour point.
+    * @param {number} y - The y-coordinate of the CIE 1931 colour point.
+    * @param {?integer} duration - The transition time (in milliseconds).
+    * @return {HueResponse} response - The response.
+    */
+  async setXy (x, y, duration) {
+    return this.put(Object.assign({
+      color: {
+        xy: {
+          x: OptionParser.toNumber('x', x, 0, 1),
+          y: OptionParser.toNumber('y', y, 0, 1)
+        }
+      }
+    }, dynamics(duration)))
+  }
+}
+
+/** Grouped light resource.
+  * @extends HueResource
+  * @memberof HueResource
+  */
+class GroupedLight extends HueResource {
+  /** The room or zone of the grouped light.
+    * @type {?HueResource}
+    * @readonly
+    */
+  get group () { return this.owner }
+
+  /** On/off state, i.e. whether any light in the group is on.
+    * @type {boolean}
+    * @readonly
+    */
+  get on () { return this._data.on?.on }
+
+  /** Average brightness, in percent.
+    * @type {?number}
+    * @readonly
+    */
+  get brightness () { return this._data.dimming?.brightness }
+
+  /** Switch the lights in the group on or off.
+    * @param {boolean} on - On.
+    * @param {?integer} duration - The transition time (in milliseconds).
+    * @return {HueResponse} response - The response.
+    */
+  async setOn (on, duration) {
+    return this.put(Object.assign(
+      { on: { on: OptionParser.toBool('on', on) } }, dynamics(duration)
+    ))
+  }
+
+  /** Set the brightness of the lights in the group.
+    * @param {number} brightness - The brightness, in percent.
+    * @param {?integer} duration - The transition time (in milliseconds).
+    * @return {HueResponse} response - The response.
+    */
+  async setBrightness (brightness, duration) {
+    return this.put(Object.assign({
+      dimming: { brightness: OptionParser.toNumber('brightness', brightness, 0, 100) }
+    }, dynamics(duration)))
+  }
+}
+
+/** Room resource.
+  * @extends HueResource
+  * @memberof HueResource
+  */
+class Room extends HueResource {
+  /** The grouped light of the room.
+    * @type {?HueResource.GroupedLight}
+    * @readonly
+    */
+  get groupedLight () {
+    return this.services.find((service) => {
+      return service.type === 'grouped_light'
+    }) ?? null
+  }
+
+  /** The lights in the room, i.e. the lights of the child devices.
+    * @type {HueResource.Light[]}
+    * @readonly
+    */
+  get lights () {
+    const lights = []
+    for (const child of this.children) {
+      if (child.type === 'light') {
+        lights.push(child)
+      } else {
+        for (const service of child.services) {
+          if (service.type === 'light') {
+            lights.push(service)
+          }
+        }
+      }
+    }
+    return lights
+  }
+
+  /** The scenes for the room.
+    * @type {HueResource.Scene[]}
+    * @readonly
+    */
+  get scenes () {
+    return Object.values(this._resources).filter((resource) => {
+      return resource.type === 'scene' && resource.group === this
+    })
+  }
+}
+
+/** Zone resource.
+  * @extends HueResource.Room
+  * @memberof HueResource
+  */
+class Zone extends Room {}
+
+/** Device resource.
+  * @extends HueResource
+  * @memberof HueResource
+  */
+class Device extends HueResource {
+  /** The product data, including `model_id` and `software_version`.
+    * @type {object}
+    * @readonly
+    */
+  get productData () { return this._data.product_data }
+
+  /** The services of the device of given type.
+    * @param {string} type - The resource type, e.g. `button`.
+    * @returns {HueResource[]} The services.
+    */
+  servicesOfType (type) {
+    return this.services.filter((service) => { return service.type === type })
+  }
+
+  /** Make the device identify itself, e.g. by blinking.
+    * @return {HueResponse} response - The response.
+    */
+  async identify () {
+    return this.put({ identify: { action: 'identify' } })
+  }
+
+  _changes (body) {
+    const { identify, ...data } = super._changes(body)
+    return data
+  }
+}
+
+/** Scene resource.
+  * @extends HueResource
+  * @memberof HueResource
+  */
+class Scene extends HueResource {
+  /** The room or zone of the scene.
+    * @type {?HueResource}
+    * @readonly
+    */
+  get group () { return this.link(this._data.group) }
+
+  /** The lights in the scene.
+    * @type {HueResource[]}
+    * @readonly
+    */
+  get lights () {
+    return this.links((this._data.actions ?? []).map((action) => {
+      return action.target
+    }))
+  }
+
+  /** Recall the scene.
+    * @param {object} params - Parameters.
+    * @param {string} [params.action='active'] - The recall action:
+    * `active`, `dynamic_palette`, or `static`.
+    * @param {?number} params.brightness - Override the scene brightness (in
+    * percent).
+    * @param {?integer} params.duration - The transition time (in
+    * milliseconds).
+    * @return {HueResponse} response - The response.
+    */
+  async recall (params = {}) {
+    const recall = { action: 'active' }
+    const optionParser = new OptionParser(recall)
+    optionParser
+      .enumKey('action')
+      .enumKeyValue('action', 'active')
+      .enumKeyValue('action', 'dynamic_palette')
+      .enumKeyValue('action', 'static')
+      .numberKey('brightness', 0, 100)
+      .intKey('duration', 0)
+      .parse(params)
+    if (recall.brightness != null) {
+      recall.dimming = { brightness: recall.brightness }
+      delete recall.brightness
+    }
+    return this.put({ recall })
+  }
+
+  _changes (body) {
+    const { recall, ...data } = super._changes(body)
+    if (recall != null) {
+      data.status = {
+        active: recall.action === 'dynamic_palette' ? 'dynamic_palette' : 'static'
+      }
+    }
+    return data
+  }
+}
+
+/** Button resource.
+  * @extends HueResource
+  * @memberof HueResource
+  */
+class Button extends HueResource {
+  /** The number of the button on the device.
+    * @type {integer}
+    * @readonly
+    */
+  get controlId () { return this._data.metadata?.control_id }
+
+  /** The last button event, e.g. `short_release`.
+    * @type {?string}
+    * @readonly
+    */
+  get lastEvent () {
+    return this._data.button?.button_report?.event ??
+      this._data.button?.last_event
+  }
+}
+
+/** Base class for sensor resources.
+  * @extends HueResource
+  * @memberof HueResource
+  */
+class Sensor extends HueResource {
+  /** Whether the sensor is enabled.
+    * @type {boolean}
+    * @readonly
+    */
+  get enabled () { return this._data.enabled }
+
+  /** Enable or disable the sensor.
+    * @param {boolean} enabled - Enabled.
+    * @return {HueResponse} response - The response.
+    */
+  async setEnabled (enabled) {
+    return this.put({ enabled: OptionParser.toBool('enabled', enabled) })
+  }
+}
+
+/** Motion sensor resource.
+  * @extends HueResource.Sensor
+  * @memberof HueResource
+  */
+class Motion extends Sensor {
+  /** Whether motion is detected.
+    * @type {?boolean}
+    * @readonly
+    */
+  get motion () {
+    return this._data.motion?.motion_report?.motion ??
+      (this._data.motion?.motion_valid ? this._data.motion.motion : null)
+  }
+}
+
+/** Temperature sensor resource.
+  * @extends HueResource.Sensor
+  * @memberof HueResource
+  */
+class Temperature extends Sensor {
+  /** The temperature, in °C.
+    * @type {?number}
+    * @readonly
+    */
+  get temperature () {
+    return this._data.temperature?.temperature_report?.temperature ??
+      (this._data.temperature?.temperature_valid ? this._data.temperature.temperature : null)
+  }
+}
+
+/** Light level sensor resource.
+  * @extends HueResource.Sensor
+  * @memberof HueResource
+  */
+class LightLevel extends Sensor {
+  /** The light level, as 10000 * log10(lux) + 1.
+    * @type {?integer}
+    * @readonly
+    */
+  get lightLevel () {
+    return this._data.light?.light_level_report?.light_level ??
+      (this._data.light?.light_level_valid ? this._data.light.light_level : null)
+  }
+
+  /** The light level, in lux.
+    * @type {?number}
+    * @readonly
+    */
+  get lux () {
+    const lightLevel = this.lightLevel
+    return lightLevel == null
+      ? null
+      : Math.round(Math.pow(10, (lightLevel - 1) / 10000) * 100) / 100
+  }
+}
+
+/** Device power resource.
+  * @extends HueResource
+  * @memberof HueResource
+  */
+class DevicePower extends HueResource {
+  /** The battery level, in percent.
+    * @type {?integer}
+    * @readonly
+    */
+  get batteryLevel () { return this._data.power_state?.battery_level }
+
+  /** The battery state: `normal`, `low`, or `critical`.
+    * @type {?string}
+    * @readonly
+    */
+  get batteryState () { return this._data.power_state?.battery_state }
+}
+
+/** Zigbee connectivity resource.
+  * @extends HueResource
+  * @memberof HueResource
+  */
+class ZigbeeConnectivity extends HueResource {
+  /** The connectivity status, e.g. `connected`.
+    * @type {string}
+    * @readonly
+    */
+  get status () { return this._data.status }
+
+  /** Whether the device is connected.
+    * @type {boolean}
+    * @readonly
+    */
+  get connected () { return this._data.status === 'connected' }
+}
+
+export { HueResource }
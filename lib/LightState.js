@@ -0,0 +1,129 @@
+// hb-hue-tools/lib/LightState.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+
+import { Colour } from 'hb-lib-tools/Colour'
+
+// Colour temperature range (in mired) of API v1, used when the light doesn't
+// report its range.
+const defaultMirekSchema = { mirek_minimum: 153, mirek_maximum: 500 }
+
+// Maximum distance in CIE 1931 xy from the black body curve, for a colour to
+// have a colour temperature.
+const maxDistance = 0.01
+
+// Approximate the colour temperature (in mired) of CIE 1931 xy, using
+// [McCamy's formula](https://en.wikipedia.org/wiki/Color_temperature#Approximation).
+// Returns null when xy isn't close enough to the black body curve.
+function xyToCt (xy, mirekSchema) {
+  const n = (xy[0] - 0.3320) / (0.1858 - xy[1])
+  const kelvin = 449 * n ** 3 + 3525 * n ** 2 + 6823.3 * n + 5520.33
+  if (!(kelvin > 0)) {
+    return null
+  }
+  const ct = Math.min(
+    Math.max(Math.round(1000000 / kelvin), mirekSchema.mirek_minimum),
+    mirekSchema.mirek_maximum
+  )
+  const [x, y] = Colour.ctToXy(ct)
+  if (Math.hypot(x - xy[0], y - xy[1]) > maxDistance) {
+    return null
+  }
+  return ct
+}
+
+/** Emulation of the API v1 state of a light or group.
+  *
+  * API v2 `update` notifications only contain the changed attributes, and
+  * don't contain the API v1 `colormode`, `hue`, and `sat`.
+  * A `LightState` keeps the last known API v1 state, and derives these
+  * attributes, the way the API v1 does:
+  * - When the colour temperature is set, `colormode` becomes `ct`, and `xy`,
+  * `hue`, and `sat` are derived from `ct`;
+  * - When the colour is set, `colormode` becomes `xy`, and `hue` and `sat`
+  * are derived from `xy`, as is `ct`, for a white colour.
+  */
+class LightState {
+  /** Create a new light state.
+    * @param {?object} light - The API v2 `light` or `grouped_light` resource,
+    * to seed the state and the capabilities.
+    */
+  constructor (light) {
+    this._state = {}
+    this.gamut = Colour.defaultGamut
+    this.mirekSchema = defaultMirekSchema
+    if (light == null) {
+      return
+    }
+    if (light.color != null) {
+      this.hasColor = true
+      const gamut = light.color.gamut
+      if (gamut != null) {
+        this.gamut = {
+          r: [gamut.red.x, gamut.red.y],
+          g: [gamut.green.x, gamut.green.y],
+          b: [gamut.blue.x, gamut.blue.y]
+        }
+      }
+    }
+    if (light.color_temperature?.mirek_schema != null) {
+      this.mirekSchema = light.color_temperature.mirek_schema
+    }
+    const state = {}
+    if (light.on != null) {
+      state.on = light.on.on
+    }
+    if (light.dimming != null) {
+      state.bri = Math.round(light.dimming.brightness * 2.54)
+    }
+    if (light.color_temperature?.mirek_valid) {
+      state.ct = light.color_temperature.mirek
+    } else if (light.color != null) {
+      state.xy = [light.color.xy.x, light.color.xy.y]
+    }
+    this.update(state)
+  }
+
+  /** The current API v1 state.
+    * @type {object}
+    * @readonly
+    */
+  get state () { return Object.assign({}, this._state) }
+
+  /** Apply a (partial) API v1 state, and derive the colour attributes.
+    * @param {object} state - The changed API v1 state attributes.
+    * @returns {object} The complete API v1 state.
+    */
+  update (state) {
+    Object.assign(this._state, state)
+    if (state.xy != null) {
+      this.hasColor = true
+    }
+    if (state.ct != null) {
+      this._state.colormode = 'ct'
+      if (this.hasColor) {
+        if (state.xy == null) {
+          this._state.xy = Colour.ctToXy(state.ct)
+        }
+        this.#setHueSat()
+      }
+    } else if (state.xy != null) {
+      this._state.colormode = 'xy'
+      this.#setHueSat()
+      const ct = xyToCt(state.xy, this.mirekSchema)
+      if (ct != null) {
+        this._state.ct = ct
+      }
+    }
+    return this.state
+  }
+
+  #setHueSat () {
+    const { h, s } = Colour.xyToHsv(this._state.xy, this.gamut)
+    this._state.hue = Math.round(h * 65535 / 360)
+    this._state.sat = Math.round(s * 254 / 100)
+  }
+}
+
+export { LightState }
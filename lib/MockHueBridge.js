@@ -0,0 +1,812 @@
+// hb-hue-tools/lib/MockHueBridge.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+
+import { randomUUID } from 'node:crypto'
+import { EventEmitter, once } from 'node:events'
+import http from 'node:http'
+
+import { OptionParser } from 'hb-lib-tools/OptionParser'
+
+// Keys of the bridge configuration exposed without API key.
+const publicConfigKeys = [
+  'name',
+  'datastoreversion',
+  'swversion',
+  'apiversion',
+  'mac',
+  'bridgeid',
+  'factorynew',
+  'replacesbridgeid',
+  'modelid',
+  'starterkitid'
+]
+
+const apiV1Resources = [
+  'capabilities',
+  'config',
+  'info',
+  'lights',
+  'groups',
+  'schedules',
+  'scenes',
+  'sensors',
+  'rules',
+  'resourcelinks'
+]
+
+// Clone a JSON value.
+function clone (value) {
+  return value == null ? value : JSON.parse(JSON.stringify(value))
+}
+
+// Merge source into target, recursively.
+function merge (target, source) {
+  for (const key in source) {
+    const value = source[key]
+    if (
+      value != null && typeof value === 'object' && !Array.isArray(value) &&
+      target[key] != null && typeof target[key] === 'object'
+    ) {
+      merge(target[key], value)
+    } else {
+      target[key] = clone(value)
+    }
+  }
+  return target
+}
+
+// Translate API v1 light state to API v2 light attributes.
+function toV2 (state) {
+  const data = {}
+  if (state.on != null) {
+    data.on = { on: state.on }
+  }
+  if (state.bri != null) {
+    data.dimming = { brightness: Math.round(state.bri / 2.54 * 100) / 100 }
+  }
+  if (state.xy != null) {
+    data.color = { xy: { x: state.xy[0], y: state.xy[1] } }
+  }
+  if (state.ct != null) {
+    data.color_temperature = { mirek: state.ct, mirek_valid: true }
+  }
+  return data
+}
+
+// Translate API v2 light attributes to API v1 light state.
+function toV1 (data) {
+  const state = {}
+  if (data.on != null) {
+    state.on = data.on.on
+  }
+  if (data.dimming != null) {
+    state.bri = Math.round(data.dimming.brightness * 2.54)
+  }
+  if (data.color?.xy != null) {
+    state.xy = [data.color.xy.x, data.color.xy.y]
+    state.colormode = 'xy'
+  }
+  if (data.color_temperature?.mirek != null) {
+    state.ct = data.color_temperature.mirek
+    state.colormode = 'ct'
+  }
+  return state
+}
+
+/** Programmable fake Hue bridge, for testing
+  * {@link HueClient}, {@link EventStreamClient}, and `ph` without a Hue
+  * bridge.
+  *
+  * The mock bridge serves plain HTTP:
+  * - `/api/config` and `/api/`_apiKey_`/`..., for the Hue API v1;
+  * - `/clip/v2/resource/`..., for the Hue API v2;
+  * - `/auth/v1`, returning the `hue-application-id` header;
+  * - `/eventstream/clip/v2`, for the Hue API v2 event stream, as server-sent
+  * events.
+  *
+  * The state of the bridge is loaded from a JSON fixture, with a key per
+  * API v1 resource (as returned by a GET of `/api/`_apiKey_), and a
+  * `resource` key with the array of API v2 resources (as returned by a GET of
+  * `/clip/v2/resource`).
+  * Note that clients need to pass `forceHttp` to {@link HueClient} to
+  * connect to the mock bridge.
+  * @extends EventEmitter
+  */
+class MockHueBridge extends EventEmitter {
+  /** Default state, with a single light in a single room.
+    * @type {object}
+    */
+  static get defaultState () {
+    const bridgeid = '001788FFFE000000'
+    const uuid = {
+      bridge: '00000000-0000-4000-8000-000000000001',
+      bridgeDevice: '00000000-0000-4000-8000-000000000002',
+      device: '00000000-0000-4000-8000-000000000003',
+      light: '00000000-0000-4000-8000-000000000004',
+      room: '00000000-0000-4000-8000-000000000005',
+      group: '00000000-0000-4000-8000-000000000006',
+      zigbee: '00000000-0000-4000-8000-000000000007'
+    }
+    return {
+      config: {
+        name: 'Mock Hue Bridge',
+        datastoreversion: '170',
+        swversion: '1972004020',
+        apiversion: '1.72.0',
+        mac: '00:17:88:00:00:00',
+        bridgeid,
+        factorynew: false,
+        replacesbridgeid: null,
+        modelid: 'BSB002',
+        starterkitid: '',
+        linkbutton: false,
+        whitelist: {}
+      },
+      lights: {
+        1: {
+          state: {
+            on: false,
+            bri: 254,
+            ct: 366,
+            xy: [0.4573, 0.41],
+            colormode: 'ct',
+            reachable: true
+          },
+          type: 'Extended color light',
+          name: 'Hue color lamp 1',
+          modelid: 'LCA001',
+          manufacturername: 'Signify Netherlands B.V.',
+          uniqueid: '00:17:88:01:00:00:00:01-0b'
+        }
+      },
+      groups: {
+        1: {
+          name: 'Living room',
+          lights: ['1'],
+          type: 'Room',
+          class: 'Living room',
+          state: { all_on: false, any_on: false },
+          action: { on: false, bri: 254 }
+        }
+      },
+      schedules: {},
+      scenes: {},
+      sensors: {},
+      rules: {},
+      resourcelinks: {},
+      resource: [
+        {
+          id: uuid.bridgeDevice,
+          type: 'device',
+          metadata: { name: 'Mock Hue Bridge', archetype: 'bridge_v2' },
+          services: [{ rid: uuid.bridge, rtype: 'bridge' }]
+        },
+        {
+          id: uuid.bridge,
+          type: 'bridge',
+          bridge_id: bridgeid.toLowerCase(),
+          owner: { rid: uuid.bridgeDevice, rtype: 'device' }
+        },
+        {
+          id: uuid.device,
+          id_v1: '/lights/1',
+          type: 'device',
+          metadata: { name: 'Hue color lamp 1', archetype: 'sultan_bulb' },
+          services: [
+            { rid: uuid.light, rtype: 'light' },
+            { rid: uuid.zigbee, rtype: 'zigbee_connectivity' }
+          ]
+        },
+        {
+          id: uuid.light,
+          id_v1: '/lights/1',
+          type: 'light',
+          owner: { rid: uuid.device, rtype: 'device' },
+          metadata: { name: 'Hue color lamp 1', archetype: 'sultan_bulb' },
+          on: { on: false },
+          dimming: { brightness: 100 },
+          color_temperature: { mirek: 366, mirek_valid: true },
+          color: { xy: { x: 0.4573, y: 0.41 } }
+        },
+        {
+          id: uuid.zigbee,
+          id_v1: '/lights/1',
+          type: 'zigbee_connectivity',
+          owner: { rid: uuid.device, rtype: 'device' },
+          status: 'connected'
+        },
+        {
+          id: uuid.room,
+          id_v1: '/groups/1',
+          type: 'room',
+          metadata: { name: 'Living room', archetype: 'living_room' },
+          children: [{ rid: uuid.device, rtype: 'device' }],
+          services: [{ rid: uuid.group, rtype: 'grouped_light' }]
+        },
+        {
+          id: uuid.group,
+          id_v1: '/groups/1',
+          type: 'grouped_light',
+          owner: { rid: uuid.room, rtype: 'room' },
+          on: { on: false }
+        }
+      ]
+    }
+  }
+
+  /** Create a new mock Hue bridge.
+    * @param {object} params - Parameters.
+    * @param {?string} params.apiKey - API key to accept, in addition to the
+    * keys in the `config.whitelist` of the state.
+    * @param {string} [params.applicationId] - The value for the
+    * `hue-application-id` header returned by `/auth/v1`.
+    * @param {?*} params.logger - Logger for messages.
+    * @param {object} [params.state] - The initial bridge state, see
+    * {@link MockHueBridge.defaultState defaultState}.
+    */
+  constructor (params = {}) {
+    super()
+    this._options = {
+      applicationId: randomUUID(),
+      state: MockHueBridge.defaultState
+    }
+    const optionParser = new OptionParser(this._options)
+    optionParser
+      .stringKey('apiKey', true)
+      .stringKey('applicationId', true)
+      .instanceKey('logger')
+      .objectKey('state')
+      .parse(params)
+    for (const f of ['warn', 'log', 'debug', 'vdebug', 'vvdebug']) {
+      this[f] = this._options.logger?.[f]?.bind(this._options.logger) ?? (() => {})
+    }
+    this.state = this._options.state
+    this.errors = []
+    this.eventStreams = new Set()
+    this.eventId = 0
+    this.server = http.createServer((request, response) => {
+      this.#onRequest(request, response)
+    })
+  }
+
+  /** The bridge state.
+    *
+    * Use {@link MockHueBridge#update update()} to change the state
+    * and issue an event stream notification.
+    * @type {object}
+    */
+  get state () { return this._state }
+  set state (value) {
+    value = clone(OptionParser.toObject('state', value))
+    if (value.config == null) {
+      value.config = MockHueBridge.defaultState.config
+    }
+    for (const key of apiV1Resources) {
+      if (value[key] == null) {
+        value[key] = {}
+      }
+    }
+    if (value.config.whitelist == null) {
+      value.config.whitelist = {}
+    }
+    if (value.resource == null) {
+      value.resource = []
+    }
+    this._state = value
+  }
+
+  /** The bridge public configuration, as returned by `/api/config`.
+    * @type {object}
+    * @readonly
+    */
+  get config () {
+    const config = {}
+    for (const key of publicConfigKeys) {
+      if (this._state.config[key] !== undefined) {
+        config[key] = this._state.config[key]
+      }
+    }
+    return config
+  }
+
+  /** The host (IP address and port) the mock bridge is listening on.
+    * @type {?string}
+    * @readonly
+    */
+  get host () {
+    const address = this.server.address()
+    if (address == null || typeof address !== 'object') {
+      return null
+    }
+    return (address.family === 'IPv6' ? '[' + address.address + ']' : address.address) +
+      ':' + address.port
+  }
+
+  /** Start listening for requests.
+    * @param {integer} [port=0] - The port to listen on.
+    * Use `0` for a random free port.
+    * @param {string} [hostname='127.0.0.1'] - The address to listen on.
+    * @return {string} host - The host the mock bridge is listening on.
+    */
+  async listen (port = 0, hostname = '127.0.0.1') {
+    port = OptionParser.toInt('port', port, 0, 65535)
+    hostname = OptionParser.toString('hostname', hostname, true)
+    this.server.listen(port, hostname)
+    await once(this.server, 'listening')
+    /** Emitted when the mock bridge has started listening.
+      * @event MockHueBridge#listening
+      * @param {string} host - The host the mock bridge is listening on.
+      */
+    this.emit('listening', this.host)
+    return this.host
+  }
+
+  /** Stop listening and close all connections.
+    */
+  async close () {
+    this.closeEventStreams()
+    if (this.server.listening) {
+      this.server.closeAllConnections()
+      this.server.close()
+      await once(this.server, 'close')
+      /** Emitted when the mock bridge has stopped listening.
+        * @event MockHueBridge#closed
+        */
+      this.emit('closed')
+    }
+  }
+
+  /** Close all open event stream connections, e.g. to test reconnecting.
+    */
+  closeEventStreams () {
+    for (const response of this.eventStreams) {
+      response.destroy()
+    }
+    this.eventStreams.clear()
+  }
+
+  /** Simulate pressing the link button, to allow creation of an API key.
+    */
+  pressLinkButton () {
+    this._state.config.linkbutton = true
+  }
+
+  /** Inject an error for subsequent requests.
+    *
+    * Errors are matched in order of injection.
+    * @param {object} params - Parameters.
+    * @param {integer} [params.type] - Return an API error of this type,
+    * e.g. `901` for an internal bridge error.
+    * @param {integer} [params.statusCode] - Return an HTTP error with this
+    * status, e.g. `503`.
+    * @param {string} [params.code] - Drop the connection, e.g.
+    * `ECONNRESET`.
+    * @param {string} [params.method] - Only inject the error for requests
+    * with this method.
+    * @param {string|RegExp} [params.path] - Only inject the error for
+    * requests to this path, or paths matching this regular expression.
+    * @param {integer} [params.count=1] - Number of requests to inject the
+    * error for.
+    */
+  injectError (params = {}) {
+    const { path, ...options } = OptionParser.toObject('params', params)
+    const error = { count: 1 }
+    const optionParser = new OptionParser(error)
+    optionParser
+      .stringKey('code', true)
+      .intKey('count', 1)
+      .stringKey('method', true)
+      .intKey('statusCode', 400, 599)
+      .intKey('type', 1)
+      .parse(options)
+    if (path != null) {
+      error.path = path instanceof RegExp
+        ? path
+        : OptionParser.toPath('path', path)
+    }
+    if (error.type == null && error.statusCode == null && error.code == null) {
+      throw new SyntaxError('injectError: missing type, statusCode, or code')
+    }
+    this.errors.push(error)
+  }
+
+  /** Update an API v2 resource and issue an `update` event stream
+    * notification.
+    *
+    * For lights with an API v1 equivalent, the API v1 state is updated as
+    * well.
+    * @param {string} type - The resource type, e.g. `light`.
+    * @param {string} id - The resource ID.
+    * @param {object} data - The changed attributes.
+    */
+  update (type, id, data) {
+    const resource = this.#findResource(type, id)
+    if (resource == null) {
+      throw new RangeError(`/${type}/${id}: not found`)
+    }
+    merge(resource, data)
+    if (type === 'light' && resource.id_v1 != null) {
+      const light = this.#v1Resource(resource.id_v1.split('/').slice(1))
+      if (light?.state != null) {
+        merge(light.state, toV1(data))
+      }
+    }
+    this.#notify('update', [Object.assign(this.#reference(resource), clone(data))])
+  }
+
+  /** Add an API v2 resource and issue an `add` event stream notification.
+    * @param {object} resource - The resource.
+    * @return {string} id - The resource ID.
+    */
+  add (resource) {
+    resource = clone(OptionParser.toObject('resource', resource))
+    OptionParser.toString('resource.type', resource.type, true)
+    if (resource.id == null) {
+      resource.id = randomUUID()
+    }
+    this._state.resource.push(resource)
+    this.#notify('add', [clone(resource)])
+    return resource.id
+  }
+
+  /** Delete an API v2 resource and issue a `delete` event stream
+    * notification.
+    * @param {string} type - The resource type, e.g. `button`.
+    * @param {string} id - The resource ID.
+    */
+  delete (type, id) {
+    const resource = this.#findResource(type, id)
+    if (resource == null) {
+      throw new RangeError(`/${type}/${id}: not found`)
+    }
+    this._state.resource.splice(this._state.resource.indexOf(resource), 1)
+    this.#notify('delete', [this.#reference(resource)])
+  }
+
+  /** Issue a raw event stream notification.
+    * @param {object[]} container - The notification container.
+    */
+  notify (container) {
+    container = OptionParser.toArray('container', container)
+    const id = Math.floor(Date.now() / 1000) + ':' + this.eventId++
+    const s = `id: ${id}\ndata: ${JSON.stringify(container)}\n\n`
+    for (const response of this.eventStreams) {
+      response.write(s)
+    }
+  }
+
+  // ===========================================================================
+
+  #notify (type, data) {
+    this.notify([{
+      creationtime: new Date().toISOString().slice(0, -5) + 'Z',
+      data,
+      id: randomUUID(),
+      type
+    }])
+  }
+
+  #reference (resource) {
+    const reference = { id: resource.id, type: resource.type }
+    if (resource.id_v1 != null) {
+      reference.id_v1 = resource.id_v1
+    }
+    if (resource.owner != null) {
+      reference.owner = clone(resource.owner)
+    }
+    return reference
+  }
+
+  #findResource (type, id) {
+    return this._state.resource.find((resource) => {
+      return resource.type === type && resource.id === id
+    })
+  }
+
+  #v1Resource (path) {
+    let obj = this._state
+    for (const key of path) {
+      if (obj == null || typeof obj !== 'object') {
+        return undefined
+      }
+      obj = obj[key]
+    }
+    return obj
+  }
+
+  #isAuthorized (apiKey) {
+    return apiKey != null && (
+      apiKey === this._options.apiKey ||
+      this._state.config.whitelist[apiKey] != null
+    )
+  }
+
+  #injectedError (method, path) {
+    const error = this.errors.find((error) => {
+      if (error.method != null && error.method !== method) {
+        return false
+      }
+      if (error.path instanceof RegExp) {
+        return error.path.test(path)
+      }
+      return error.path == null || path.startsWith(error.path)
+    })
+    if (error != null && --error.count === 0) {
+      this.errors.splice(this.errors.indexOf(error), 1)
+    }
+    return error
+  }
+
+  #onRequest (request, response) {
+    const chunks = []
+    request
+      .on('data', (chunk) => { chunks.push(chunk) })
+      .on('end', () => {
+        const method = request.method
+        const path = request.url.split('?')[0].replace(/\/+/g, '/')
+        const text = Buffer.concat(chunks).toString('utf-8')
+        this.debug('%s %s%s', method, path, text === '' ? '' : ' ' + text)
+        /** Emitted for each request received.
+          * @event MockHueBridge#request
+          * @param {string} method - The request method.
+          * @param {string} path - The request path.
+          * @param {?string} body - The request body.
+          */
+        this.emit('request', method, path, text === '' ? null : text)
+        try {
+          const error = this.#injectedError(method, path)
+          if (error != null) {
+            return this.#sendError(response, path, error)
+          }
+          const apiKey = request.headers['hue-application-key']
+          if (path === '/eventstream/clip/v2') {
+            return this.#eventStream(request, response, apiKey)
+          }
+          if (path === '/auth/v1') {
+            if (!this.#isAuthorized(apiKey)) {
+              return this.#send(response, 403, { errors: [{ description: 'unauthorized user' }], data: [] })
+            }
+            response.setHeader('hue-application-id', this._options.applicationId)
+            return this.#send(response, 200, { errors: [], data: [] })
+          }
+          let body
+          if (text !== '') {
+            try {
+              body = JSON.parse(text)
+            } catch (error) {
+              if (path.startsWith('/clip/v2')) {
+                return this.#send(response, 400, { errors: [{ description: 'invalid json' }], data: [] })
+              }
+              return this.#send(response, 200, [this.#apiError(2, path, 'body contains invalid JSON')])
+            }
+          }
+          if (path.startsWith('/clip/v2')) {
+            return this.#v2(response, method, path, body, apiKey)
+          }
+          if (path === '/api' || path.startsWith('/api/')) {
+            return this.#v1(response, method, path, body)
+          }
+          this.#send(response, 404, null)
+        } catch (error) {
+          this.warn(error)
+          this.#send(response, 500, null)
+        }
+      })
+  }
+
+  #send (response, statusCode, body) {
+    response.statusCode = statusCode
+    if (body == null) {
+      response.setHeader('Content-Length', 0)
+      response.end()
+      return
+    }
+    const s = JSON.stringify(body)
+    response.setHeader('Content-Type', 'application/json')
+    response.setHeader('Content-Length', Buffer.byteLength(s))
+    response.end(s)
+  }
+
+  #sendError (response, path, error) {
+    if (error.code != null) {
+      response.socket.destroy()
+      return
+    }
+    if (error.statusCode != null) {
+      this.#send(response, error.statusCode, null)
+      return
+    }
+    if (path.startsWith('/clip/v2')) {
+      this.#send(response, 200, {
+        errors: [{ description: `api error ${error.type}` }], data: []
+      })
+      return
+    }
+    this.#send(response, 200, [this.#apiError(
+      error.type, path.split('/').slice(3).join('/'),
+      error.type === 901 ? 'Internal error, 404' : 'injected error'
+    )])
+  }
+
+  #apiError (type, address, description) {
+    return { error: { type, address: '/' + address, description } }
+  }
+
+  #eventStream (request, response, apiKey) {
+    if (!this.#isAuthorized(apiKey)) {
+      return this.#send(response, 403, null)
+    }
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    })
+    response.write(': hi\n\n')
+    this.eventStreams.add(response)
+    request.socket.on('close', () => { this.eventStreams.delete(response) })
+  }
+
+  #v1 (response, method, path, body) {
+    const a = path.split('/').slice(2)
+    if (a.length === 0) {
+      if (method !== 'POST') {
+        return this.#send(response, 200, [this.#apiError(4, '', `method, ${method}, not available for resource, /`)])
+      }
+      if (typeof body?.devicetype !== 'string') {
+        return this.#send(response, 200, [this.#apiError(5, '', 'invalid/missing parameters in body')])
+      }
+      if (!this._state.config.linkbutton) {
+        return this.#send(response, 200, [this.#apiError(101, '', 'link button not pressed')])
+      }
+      const username = randomUUID().replace(/-/g, '')
+      const success = { username }
+      if (body.generateclientkey) {
+        success.clientkey = randomUUID().replace(/-/g, '').toUpperCase()
+      }
+      this._state.config.whitelist[username] = {
+        name: body.devicetype,
+        'create date': new Date().toISOString().slice(0, -5),
+        'last use date': new Date().toISOString().slice(0, -5)
+      }
+      this._state.config.linkbutton = false
+      return this.#send(response, 200, [{ success }])
+    }
+    const apiKey = a.shift()
+    if (!this.#isAuthorized(apiKey)) {
+      if (
+        method === 'GET' && (
+          (a.length === 0 && apiKey === 'config') ||
+          (a.length === 1 && a[0] === 'config')
+        )
+      ) {
+        return this.#send(response, 200, this.config)
+      }
+      return this.#send(response, 200, [this.#apiError(1, a.join('/'), 'unauthorized user')])
+    }
+    const address = a.join('/')
+    if (a.length === 0) {
+      if (method !== 'GET') {
+        return this.#send(response, 200, [this.#apiError(4, '', `method, ${method}, not available for resource, /`)])
+      }
+      const state = {}
+      for (const key of apiV1Resources) {
+        state[key] = this._state[key]
+      }
+      return this.#send(response, 200, state)
+    }
+    if (!apiV1Resources.includes(a[0])) {
+      return this.#send(response, 200, [this.#apiError(3, address, `resource, /${address}, not available`)])
+    }
+    const obj = this.#v1Resource(a)
+    switch (method) {
+      case 'GET':
+        if (obj === undefined) {
+          return this.#send(response, 200, [this.#apiError(3, address, `resource, /${address}, not available`)])
+        }
+        return this.#send(response, 200, obj)
+      case 'PUT': {
+        if (obj == null || typeof obj !== 'object') {
+          return this.#send(response, 200, [this.#apiError(3, address, `resource, /${address}, not available`)])
+        }
+        if (body == null || typeof body !== 'object') {
+          return this.#send(response, 200, [this.#apiError(5, address, 'invalid/missing parameters in body')])
+        }
+        merge(obj, body)
+        const result = []
+        for (const key in body) {
+          result.push({ success: { [`/${address}/${key}`]: body[key] } })
+        }
+        if (a[0] === 'lights' && a[2] === 'state') {
+          const light = this._state.resource.find((resource) => {
+            return resource.type === 'light' && resource.id_v1 === `/lights/${a[1]}`
+          })
+          const data = toV2(body)
+          if (light != null && Object.keys(data).length > 0) {
+            merge(light, data)
+            this.#notify('update', [Object.assign(this.#reference(light), data)])
+          }
+        }
+        return this.#send(response, 200, result)
+      }
+      case 'POST': {
+        if (a.length !== 1) {
+          return this.#send(response, 200, [this.#apiError(4, address, `method, POST, not available for resource, /${address}`)])
+        }
+        if (a[0] === 'lights' || a[0] === 'sensors') {
+          return this.#send(response, 200, [{ success: { [`/${a[0]}`]: 'Searching for new devices' } }])
+        }
+        let id = 1
+        while (obj[id] != null) {
+          id++
+        }
+        obj[id] = clone(body ?? {})
+        return this.#send(response, 200, [{ success: { id: '' + id } }])
+      }
+      case 'DELETE':
+        if (a.length !== 2 || obj == null) {
+          return this.#send(response, 200, [this.#apiError(3, address, `resource, /${address}, not available`)])
+        }
+        delete this._state[a[0]][a[1]]
+        return this.#send(response, 200, [{ success: `/${address} deleted` }])
+      default:
+        return this.#send(response, 200, [this.#apiError(4, address, `method, ${method}, not available for resource, /${address}`)])
+    }
+  }
+
+  #v2 (response, method, path, body, apiKey) {
+    if (!this.#isAuthorized(apiKey)) {
+      return this.#send(response, 403, { errors: [{ description: 'unauthorized user' }], data: [] })
+    }
+    const a = path.split('/').slice(3)
+    if (a[0] !== 'resource') {
+      return this.#send(response, 404, { errors: [{ description: 'Not Found' }], data: [] })
+    }
+    const [, type, id] = a
+    const notFound = () => {
+      return this.#send(response, 404, { errors: [{ description: 'Not Found' }], data: [] })
+    }
+    switch (method) {
+      case 'GET': {
+        let data = this._state.resource
+        if (type != null) {
+          data = data.filter((resource) => { return resource.type === type })
+        }
+        if (id != null) {
+          data = data.filter((resource) => { return resource.id === id })
+          if (data.length === 0) {
+            return notFound()
+          }
+        }
+        return this.#send(response, 200, { errors: [], data })
+      }
+      case 'PUT':
+        if (id == null || this.#findResource(type, id) == null) {
+          return notFound()
+        }
+        if (body == null || typeof body !== 'object') {
+          return this.#send(response, 400, { errors: [{ description: 'invalid body' }], data: [] })
+        }
+        this.update(type, id, body)
+        return this.#send(response, 200, { errors: [], data: [{ rid: id, rtype: type }] })
+      case 'POST': {
+        if (type == null || id != null) {
+          return this.#send(response, 405, { errors: [{ description: 'Method Not Allowed' }], data: [] })
+        }
+        const rid = this.add(Object.assign({}, body, { type }))
+        return this.#send(response, 200, { errors: [], data: [{ rid, rtype: type }] })
+      }
+      case 'DELETE':
+        if (id == null || this.#findResource(type, id) == null) {
+          return notFound()
+        }
+        this.delete(type, id)
+        return this.#send(response, 200, { errors: [], data: [{ rid: id, rtype: type }] })
+      default:
+        return this.#send(response, 405, { errors: [{ description: 'Method Not Allowed' }], data: [] })
+    }
+  }
+}
+
+export { MockHueBridge }
@@ -0,0 +1,207 @@
+// hb-hue-tools/lib/MqttBridge.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+
+import { EventEmitter } from 'node:events'
+
+import { OptionParser } from 'hb-lib-tools/OptionParser'
+import mqtt from 'mqtt'
+
+import { BridgeState } from './BridgeState.js'
+import { HueClient } from './HueClient.js'
+
+/** Bridge between a Hue bridge and an MQTT broker.
+  *
+  * Publishes the state of each Hue API v2 resource, as JSON, to
+  * _prefix_`/`_bridgeid_`/`_type_`/`_id_`/state`, as retained message,
+  * whenever the resource changes.
+  * When a resource is deleted, its retained message is cleared.
+  *
+  * Subscribes to _prefix_`/`_bridgeid_`/`_type_`/`_id_`/set`, and issues a
+  * PUT of the (JSON) message payload to the resource.
+  * The PUT requests are issued one at a time, and throttled by
+  * {@link HueClient#put HueClient.put()}.
+  * Sets for the same resource that are queued are merged into a single PUT.
+  *
+  * Publishes `online` or `offline` to _prefix_`/`_bridgeid_`/status`, as
+  * retained message, depending on the connection to the Hue bridge.
+  * The MQTT last will and testament sets the status to `offline`, should
+  * the MQTT bridge terminate unexpectedly.
+  * @extends EventEmitter
+  */
+class MqttBridge extends EventEmitter {
+  /** Create a new MQTT bridge.
+    * @param {HueClient} client - The client to the Hue bridge.
+    * @param {object} params - Parameters.
+    * @param {string} [params.url='mqtt://localhost'] - The URL of the MQTT
+    * broker, including any username and password.
+    * @param {string} [params.prefix='hue'] - The prefix of the MQTT topics.
+    * @param {integer} [params.retryTime=10] - Time (in seconds) to try and
+    * reconnect when the connection to the Hue bridge or to the MQTT broker
+    * has been closed.
+    */
+  constructor (client, params = {}) {
+    super()
+    if (!(client instanceof HueClient)) {
+      throw new TypeError('client: not a HueClient')
+    }
+    this._options = {
+      client,
+      prefix: 'hue',
+      retryTime: 10,
+      url: 'mqtt://localhost'
+    }
+    const optionParser = new OptionParser(this._options)
+    optionParser
+      .stringKey('prefix', true)
+      .intKey('retryTime', 1, 120)
+      .stringKey('url', true)
+      .parse(params)
+    this.topic = this._options.prefix + '/' + client.bridgeId
+    this.pending = {}
+    this.queue = Promise.resolve()
+    this.bridgeState = new BridgeState(client, {
+      retryTime: this._options.retryTime
+    })
+    this.bridgeState
+      .on('error', (error) => { this.emit('error', error) })
+      .on('loaded', () => { this.#publishAll() })
+      .on('resourceAdded', (type, id, resource) => {
+        this.#publishResource(resource)
+      })
+      .on('resourceChanged', (type, id) => {
+        this.#publishResource(this.bridgeState.get(type, id))
+      })
+      .on('resourceDeleted', (type, id) => {
+        this.#publish(`${this.topic}/${type}/${id}/state`, '')
+      })
+    this.bridgeState.eventStream
+      .on('closed', () => { this.#status('offline') })
+  }
+
+  /** Connect to the MQTT broker and to the Hue bridge.
+    */
+  async connect () {
+    this.mqttClient = mqtt.connect(this._options.url, {
+      reconnectPeriod: this._options.retryTime * 1000,
+      will: {
+        topic: this.topic + '/status',
+        payload: 'offline',
+        qos: 1,
+        retain: true
+      }
+    })
+    this.mqttClient
+      .on('error', (error) => { this.emit('error', error) })
+      .on('connect', async () => {
+        /** Emitted when connected to the MQTT broker.
+          * @event MqttBridge#connected
+          * @param {string} url - The URL of the MQTT broker.
+          */
+        this.emit('connected', this._options.url)
+        try {
+          await this.mqttClient.subscribeAsync(this.topic + '/+/+/set')
+          if (this.bridgeState.loaded) {
+            this.#publishAll()
+          } else {
+            this.#status('offline')
+          }
+        } catch (error) { this.emit('error', error) }
+      })
+      .on('close', () => {
+        /** Emitted when the connection to the MQTT broker has been closed.
+          * @event MqttBridge#disconnected
+          * @param {string} url - The URL of the MQTT broker.
+          */
+        this.emit('disconnected', this._options.url)
+      })
+      .on('message', (topic, payload) => {
+        this.#onMessage(topic, payload)
+      })
+    await this.bridgeState.init()
+  }
+
+  /** Disconnect from the Hue bridge and the MQTT broker.
+    */
+  async close () {
+    await this.bridgeState.close()
+    if (this.mqttClient != null) {
+      await this.#status('offline')
+      await this.mqttClient.endAsync()
+      delete this.mqttClient
+    }
+  }
+
+  #onMessage (topic, payload) {
+    const a = topic.slice(this.topic.length).split('/')
+    if (a.length !== 4 || a[3] !== 'set') {
+      return
+    }
+    const resource = '/' + a[1] + '/' + a[2]
+    let body
+    try {
+      body = JSON.parse(payload.toString())
+      OptionParser.toObject(topic, body)
+    } catch (error) {
+      this.emit('error', new Error(`${topic}: ${error.message}`))
+      return
+    }
+    if (this.pending[resource] != null) {
+      Object.assign(this.pending[resource], body)
+      return
+    }
+    this.pending[resource] = body
+    this.queue = this.queue.then(async () => {
+      const body = this.pending[resource]
+      delete this.pending[resource]
+      try {
+        /** Emitted when a message has been received on a `set` topic.
+          * @event MqttBridge#set
+          * @param {string} resource - The resource.
+          * @param {object} body - The body of the PUT request.
+          */
+        this.emit('set', resource, body)
+        await this._options.client.put(resource, body)
+      } catch (error) {
+        if (error.request == null) {
+          this.emit('error', error)
+        }
+      }
+    })
+  }
+
+  #publishAll () {
+    this.#status('online')
+    for (const id in this.bridgeState.resources) {
+      this.#publishResource(this.bridgeState.resources[id])
+    }
+  }
+
+  #publishResource (resource) {
+    this.#publish(
+      `${this.topic}/${resource.type}/${resource.id}/state`,
+      JSON.stringify(resource.data)
+    )
+  }
+
+  async #status (status) {
+    return this.#publish(this.topic + '/status', status, 1)
+  }
+
+  async #publish (topic, payload, qos = 0) {
+    if (this.mqttClient?.connected) {
+      try {
+        await this.mqttClient.publishAsync(topic, payload, { qos, retain: true })
+        /** Emitted when a message has been published.
+          * @event MqttBridge#published
+          * @param {string} topic - The topic.
+          * @param {string} payload - The payload.
+          */
+        this.emit('published', topic, payload)
+      } catch (error) { this.emit('error', error) }
+    }
+  }
+}
+
+export { MqttBridge }
@@ -21,20 +21,25 @@ const { b, u } = CommandLineTool
 const { UsageError } = CommandLineParser
 
 const usage = {
-  ph: `${b('ph')} [${b('-hVD')}] [${b('-H')} ${u('hostname')}] [${b('-K')} ${u('apiKey')}] [${b('-t')} ${u('timeout')}] ${u('command')} [${u('argument')} ...]`,
+  ph: `${b('ph')} [${b('-hVDf')}] [${b('-H')} ${u('hostname')}[${b(':')}${u('port')}] | ${b('-B')} ${u('bridge')}] [${b('-K')} ${u('apiKey')}] [${b('-t')} ${u('timeout')}] ${u('command')} [${u('argument')} ...]`,
 
   get: `${b('get')} [${b('-hfsnjuatlkv')}] [${u('path')}]`,
   put: `${b('put')} [${b('-hv')}] ${u('resource')} [${u('body')}]`,
   post: `${b('post')} [${b('-hv')}] ${u('resource')} [${u('body')}]`,
   delete: `${b('delete')} [${b('-hv')}] ${u('resource')} [${u('body')}]`,
 
-  eventlog: `${b('eventlog')} [${b('-hnrs')}] [${b('-v')} [${b('1')}|${b('2')}]]`,
+  eventlog: `${b('eventlog')} [${b('-hnrs')}] [${b('-F')} ${u('filter')}]... [${b('-t')} ${u('seconds')}] [${b('-v')} [${b('1')}|${b('2')}]] [${b('-W')} ${u('file')} | ${b('-R')} ${u('file')} [${b('-x')} ${u('speed')}]]`,
+  'serve-events': `${b('serve-events')} [${b('-h')}] [${b('-a')} ${u('address')}] [${b('-p')} ${u('port')}]`,
+  mqtt: `${b('mqtt')} [${b('-hv')}] [${b('-p')} ${u('prefix')}] [${u('url')}]`,
+  webhook: `${b('webhook')} [${b('-hv')}] ${u('config')}`,
 
-  discover: `${b('discover')} [${b('-hS')}]`,
+  discover: `${b('discover')} [${b('-hSw')}] [${b('-s')} [${u('subnet')} ...]]`,
+  bridges: `${b('bridges')} [${b('-h')}] [${b('list')} | ${b('add')} [${b('-f')}] [${b('-t')} ${u('timeout')}] [${b('-a')} ${u('alias')}]... ${u('name')} | ${b('remove')} ${u('name')} | ${b('default')} [${u('name')}] | ${b('rename')} ${u('name')} ${u('newName')}]`,
   config: `${b('config')} [${b('-hs')}]`,
   description: `${b('description')} [${b('-hs')}]`,
   getApiKey: `${b('getApiKey')} [${b('-hv')}]`,
   getApplicationId: `${b('getApplicationId')} [${b('-hv')}]`,
+  pin: `${b('pin')} [${b('-hsr')}]`,
   unlock: `${b('unlock')} [${b('-hv')}]`,
   touchlink: `${b('touchlink')} [${b('-hv')}]`,
   search: `${b('search')} [${b('-hv')}]`,
@@ -42,7 +47,9 @@ const usage = {
   outlet: `${b('outlet')} [${b('-hv')}]`,
   switch: `${b('switch')} [${b('-hv')}]`,
   probe: `${b('probe')} [${b('-hv')}] [${b('-t')} ${u('timeout')}] ${u('light')}`,
-  restart: `${b('restart')} [${b('-hv')}]`
+  restart: `${b('restart')} [${b('-hv')}]`,
+
+  mockbridge: `${b('mockbridge')} [${b('-hlv')}] [${b('-a')} ${u('address')}] [${b('-p')} ${u('port')}] [${u('fixture')}]`
 }
 const description = {
   ph: 'Command line interface to Philips Hue API.',
@@ -53,12 +60,17 @@ const description = {
   delete: `Delete ${u('resource')} from bridge with ${u('body')}.`,
 
   eventlog: 'Log events from the Hue API v2 event stream.',
+  'serve-events': 'Share the Hue API v2 event stream with local clients.',
+  mqtt: 'Bridge the Hue bridge resources to an MQTT broker.',
+  webhook: 'Forward events from the Hue API v2 event stream to webhooks.',
 
   discover: 'Discover Hue bridges.',
+  bridges: `Manage the named bridge profiles in ${b('~/.ph')}.`,
   config: 'Retrieve Hue bridge configuration (unauthenticated).',
   description: 'Retrieve Hue bridge description.',
   getApiKey: 'Create Hue bridge API key.',
   getApplicationId: 'Get the PSK identity for setting up the DTLS connection.',
+  pin: 'Show or reset the pinned SSL certificate of the Hue bridge.',
   unlock: 'Unlock Hue bridge so a new API apiKey can be created.',
   touchlink: 'Initiate a touchlink.',
   search: 'Initiate a seach for new devices.',
@@ -66,7 +78,9 @@ const description = {
   outlet: 'Create/update outlet resourcelink.',
   switch: 'Create/update switch resourcelink.',
   probe: `Probe ${u('light')} for supported colour (temperature) range.`,
-  restart: 'Restart Hue bridge.'
+  restart: 'Restart Hue bridge.',
+
+  mockbridge: 'Run a mock Hue bridge, for testing without a Hue bridge.'
 }
 const help = {
   ph: `${description.ph}
@@ -86,14 +100,23 @@ Parameters:
   ${b('-f')}, ${b('--forceHttp')}
   Use plain HTTP instead of HTTPS to communicate with the gen-2 Hue bridge.
 
-  ${b('-H')} ${u('hostname')}, ${b('--host=')}${u('hostname')}
-  Connect to ${u('hostname')}.
+  ${b('-H')} ${u('hostname')}[${b(':')}${u('port')}], ${b('--host=')}${u('hostname')}[${b(':')}${u('port')}]
+  Connect to ${u('hostname')}, on ${u('port')} when specified.
+  When the Hue bridge last seen at ${u('hostname')} has changed host, find it and
+  save its new host in ${b('~/.ph')}.
+  Default: ${b('PH_HOST')}, or else the host of the default bridge profile, or else
+  ${b('localhost')}.
+
+  ${b('-B')} ${u('bridge')}, ${b('--bridge=')}${u('bridge')}
+  Connect to the last known host of ${u('bridge')}, the name, an alias, or the ID of a
+  bridge profile in ${b('~/.ph')}, see ${b('ph bridges -h')}.
 
   ${b('-K')} ${u('apiKey')}, ${b('--apiKey=')}${u('apiKey')}
   Use ${u('apiKey')} instead of the apiKey saved in ${b('~/.ph')}.
 
   ${b('-t')} ${u('timeout')}, ${b('--timeout=')}${u('timeout')}
-  Set timeout to ${u('timeout')} seconds instead of default ${b(5)}.
+  Set timeout to ${u('timeout')} seconds instead of the timeout of the bridge profile,
+  or else the default ${b(5)}.
 
 Commands:
   ${usage.get}
@@ -111,9 +134,21 @@ Commands:
   ${usage.eventlog}
   ${description.eventlog}
 
+  ${usage['serve-events']}
+  ${description['serve-events']}
+
+  ${usage.mqtt}
+  ${description.mqtt}
+
+  ${usage.webhook}
+  ${description.webhook}
+
   ${usage.discover}
   ${description.discover}
 
+  ${usage.bridges}
+  ${description.bridges}
+
   ${usage.config}
   ${description.config}
 
@@ -126,6 +161,9 @@ Commands:
   ${usage.getApplicationId}
   ${description.getApplicationId}
 
+  ${usage.pin}
+  ${description.pin}
+
   ${usage.unlock}
   ${description.unlock}
 
@@ -147,6 +185,9 @@ Commands:
   ${usage.restart}
   ${description.restart}
 
+  ${usage.mockbridge}
+  ${description.mockbridge}
+
 For more help, issue: ${b('ph')} ${u('command')} ${b('-h')}`,
   get: `${description.ph}
 
@@ -212,19 +253,127 @@ ${description.eventlog}
 
 Parameters:
   ${b('-h')}          Print this help and exit.
+  ${b('-F')} ${u('filter')}   Only log changes to resources matching ${u('filter')}, a glob where
+              ${b('*')} matches part of a resource, e.g. ${b('/sensors/*/state')}.
+              Can be repeated to log changes matching any filter.
   ${b('-n')}          Do not retry when connection is closed.
   ${b('-r')}          Do not parse events, output raw event data.
   ${b('-s')}          Do not output timestamps (useful when running as service).
-  ${b('-v')}          Format events for API v1 (default) or for API v2.`,
+  ${b('-t')} ${u('seconds')}  Re-open the connection when no data has been received
+              for ${u('seconds')} seconds (default: 300).  Specify ${b('0')} not to
+              re-open a stalled connection.
+  ${b('-v')}          Format events for API v1 (default) or for API v2.
+  ${b('-W')} ${u('file')}     Record the raw events to ${u('file')}, as lines of JSON.
+  ${b('-R')} ${u('file')}     Replay the events recorded in ${u('file')}, instead of listening
+              to the bridge.  No bridge is needed.
+  ${b('-x')} ${u('speed')}    Replay at ${u('speed')} times real time (default: 1).
+              Specify ${b('0')} to replay without delays.`,
+  'serve-events': `${description.ph}
+
+Usage: ${b('ph')} ${usage['serve-events']}
+
+${description['serve-events']}
+Holds a single event stream connection to the bridge, and re-broadcasts the
+events to any number of clients, over server-sent events or web socket, at
+${b('/eventstream/clip/v2')}.
+Clients can pass these query parameters:
+  ${b('style=raw')}   Events as sent by the bridge (default).
+  ${b('style=v1')}    Changes formatted for API v1.
+  ${b('style=v2')}    Changes formatted for API v2.
+  ${b('filter=')}${u('glob')} Only events for resources matching ${u('glob')}.  Can be repeated.
+
+Parameters:
+  ${b('-h')}          Print this help and exit.
+  ${b('-a')} ${u('address')}  Listen on ${u('address')} (default: ${b('127.0.0.1')}).
+  ${b('-p')} ${u('port')}     Listen on ${u('port')} (default: ${b('8080')}).`,
+  mqtt: `${description.ph}
+
+Usage: ${b('ph')} ${usage.mqtt}
+
+${description.mqtt}
+Publishes the state of each API v2 resource, as JSON, to the retained topic
+${u('prefix')}${b('/')}${u('bridgeid')}${b('/')}${u('type')}${b('/')}${u('id')}${b('/state')}, and issues a PUT of the JSON payload of
+${u('prefix')}${b('/')}${u('bridgeid')}${b('/')}${u('type')}${b('/')}${u('id')}${b('/set')} to the resource.
+The connection status is published to ${u('prefix')}${b('/')}${u('bridgeid')}${b('/status')}.
+
+Parameters:
+  ${b('-h')}          Print this help and exit.
+  ${b('-v')}          Verbose, log each message published or received.
+  ${b('-p')} ${u('prefix')}   Use ${u('prefix')} for the topics (default: ${b('hue')}).
+  ${u('url')}         URL of the MQTT broker (default: ${b('mqtt://localhost')}).`,
+  webhook: `${description.ph}
+
+Usage: ${b('ph')} ${usage.webhook}
+
+${description.webhook}
+Sends the changed, added, and deleted events for resources matching a rule
+to the rule's URL, in order.  Failed requests are retried, and queued on disk
+while the URL is down.  Requests rejected by the URL with a client error (HTTP
+status 4xx, other than 408 or 429) are dropped, as is the oldest request when
+the queue is full.
+
+The ${u('config')} file contains JSON, like:
+  {
+    "version": 2,
+    "secret": "s3cr3t",
+    "rules": [
+      {
+        "filter": "/light/*",
+        "url": "http://localhost:8000/hue",
+        "method": "POST",
+        "headers": { "Authorization": "Bearer token" },
+        "body": { "light": "{{resource}}", "on": "{{attributes.on.on}}" }
+      }
+    ]
+  }
+Strings in ${b('body')} can contain ${b('{{')}${u('path')}${b('}}')} placeholders into ${b('event')}, ${b('resource')},
+${b('attributes')}, ${b('data')}, and ${b('time')}.  By default, the body contains these keys.
+With ${b('secret')}, the body is signed, in the ${b('X-Hub-Signature-256')} header.
+Optional keys: ${b('version')} (${b('1')} or ${b('2')}, default: ${b('2')}), ${b('queueFile')} (default: ${u('config')}${b('.queue')}),
+${b('retries')}, ${b('retryTime')}, ${b('downTime')}, ${b('timeout')}, and ${b('maxQueue')} (default: ${b('1000')}).
+
+Parameters:
+  ${b('-h')}          Print this help and exit.
+  ${b('-v')}          Verbose, log each request sent.
+  ${u('config')}      Read the rules from ${u('config')}.`,
   discover: `${description.ph}
 
 Usage: ${b('ph')} ${usage.discover}
 
 ${description.discover}
+Print the bridges found, by bridge ID, with their addresses, the search methods
+that found them, the latency of their response, whether they support API v2,
+and whether an API key is saved in ${b('~/.ph')}.
 
 Parameters:
   ${b('-h')}          Print this help and exit.
-  ${b('-S')}          Stealth mode, only use local discovery.`,
+  ${b('-S')}          Stealth mode, only use local discovery.
+  ${b('-s')}          Scan ${u('subnet')}s for Hue bridges not found otherwise, e.g. where mDNS
+              and UPnP are blocked.  Specify ${u('subnet')} in CIDR notation, e.g.
+              ${b('192.168.1.0/24')}.  Default: the subnets of the local interfaces.
+  ${b('-w')}          Watch the network for Hue bridges, and log when a bridge
+              comes up, goes down, or changes host or firmware.`,
+  bridges: `${description.ph}
+
+Usage: ${b('ph')} ${usage.bridges}
+
+${description.bridges}
+A profile holds the API key, the pinned SSL certificate fingerprint, and the
+last known host and port of a Hue bridge, and, optionally, a name, aliases, and
+options.
+Select a profile with ${b('ph -B')} ${u('name')}.  Without ${b('-H')} or ${b('-B')}, the default profile is used.
+The first profile added becomes the default profile.
+
+Parameters:
+  ${b('-h')}          Print this help and exit.
+  ${b('list')}        List the profiles (default).
+  ${b('add')}         Add or update the profile of the bridge at ${b('-H')} or ${b('PH_HOST')}, as ${u('name')}:
+    ${b('-f')}        Use plain HTTP instead of HTTPS for this bridge.
+    ${b('-t')} ${u('timeout')}  Use a timeout of ${u('timeout')} seconds for this bridge.
+    ${b('-a')} ${u('alias')}    Add ${u('alias')} as alternative name.
+  ${b('remove')}      Remove the profile ${u('name')}, including the API key.
+  ${b('default')}     Make ${u('name')} the default profile, or show the default profile.
+  ${b('rename')}      Rename the profile ${u('name')} to ${u('newName')}.`,
   config: `${description.ph}
 
 Usage: ${b('ph')} ${usage.config}
@@ -263,6 +412,20 @@ ${description.getApplicationId}
 Parameters:
   ${b('-h')}          Print this help and exit.
   ${b('-v')}          Verbose.`,
+  pin: `${description.ph}
+
+Usage: ${b('ph')} ${usage.pin}
+
+${description.pin}
+The fingerprint of the SSL certificate of the Hue bridge is pinned on first
+contact, and saved to ${b('~/.ph')}.  Requests to the Hue bridge, including the event
+stream, fail when the bridge presents a different certificate.
+
+Parameters:
+  ${b('-h')}          Print this help and exit.
+  ${b('-s')}          Check and show the pinned fingerprint (default).
+  ${b('-r')}          Reset the pinned fingerprint, and pin the current certificate
+              of the Hue bridge, e.g. after it has been replaced.`,
   unlock: `${description.ph}
 
 Usage: ${b('ph')} ${usage.unlock}
@@ -332,7 +495,23 @@ ${description.restart}
 
 Parameters:
   ${b('-h')}          Print this help and exit.
-  ${b('-v')}          Verbose.`
+  ${b('-v')}          Verbose.`,
+  mockbridge: `${description.ph}
+
+Usage: ${b('ph')} ${usage.mockbridge}
+
+${description.mockbridge}
+The mock bridge serves the Hue API v1, the Hue API v2, and the event stream
+over plain HTTP.  Use ${b('ph -f -H')} ${u('address')}${b(':')}${u('port')} to connect to it.
+The API key specified with ${b('-K')} is accepted by the mock bridge.
+
+Parameters:
+  ${b('-h')}          Print this help and exit.
+  ${b('-l')}          Simulate pressing the link button, to allow ${b('getApiKey')}.
+  ${b('-v')}          Verbose, log each request.
+  ${b('-a')} ${u('address')}  Listen on ${u('address')} (default: ${b('127.0.0.1')}).
+  ${b('-p')} ${u('port')}     Listen on ${u('port')} (default: a random free port).
+  ${u('fixture')}     JSON file with the bridge state (default: a single light).`
 }
 
 class PhTool extends CommandLineTool {
@@ -346,43 +525,114 @@ class PhTool extends CommandLineTool {
       if (error.code !== 'ENOENT') {
         this.error(error)
       }
-      this.bridges = {}
+      this.profiles = {}
+    }
+  }
+
+  // Return the ID of the bridge with profile name, alias, or ID name.
+  #lookupBridge (name) {
+    for (const bridgeid in this.profiles) {
+      const profile = this.profiles[bridgeid]
+      if (
+        bridgeid === name.toUpperCase() || profile.name === name ||
+        profile.aliases?.includes(name)
+      ) {
+        return bridgeid
+      }
+    }
+    return null
+  }
+
+  // Select the bridge profile, from -B, or, without -H and PH_HOST, the
+  // default profile, and set the host and options accordingly.
+  #selectBridge (clargs) {
+    let bridgeid
+    // Whether the host has been specified by -H or PH_HOST.
+    this.hostSpecified = clargs.options.host != null ||
+      (process.env.PH_HOST ?? '') !== ''
+    if (clargs.bridge != null) {
+      if (clargs.options.host != null) {
+        throw new UsageError('-B and -H are mutually exclusive')
+      }
+      bridgeid = this.#lookupBridge(clargs.bridge)
+      if (bridgeid == null) {
+        throw new UsageError(`${clargs.bridge}: unknown bridge`)
+      }
+    } else if (clargs.options.host == null && process.env.PH_HOST == null) {
+      // Ignore a default profile without host, so ph bridges still works.
+      bridgeid = this.profiles[this.defaultBridge]?.host == null
+        ? null
+        : this.defaultBridge
+    }
+    const profile = this.profiles[bridgeid]
+    if (profile != null) {
+      if (profile.host == null) {
+        throw new UsageError(
+          `${clargs.bridge ?? profile.name ?? bridgeid}: unknown host, use -H`
+        )
+      }
+      clargs.options.host = profile.host
+    }
+    if (clargs.options.host == null) {
+      clargs.options.host = process.env.PH_HOST || 'localhost'
     }
+    OptionParser.toHost('hostname', clargs.options.host, false, true)
+    this.#applyProfile(clargs, profile)
+  }
+
+  // Apply the options of profile, unless specified on the command line.
+  #applyProfile (clargs, profile) {
+    clargs.options.forceHttp = clargs.forceHttp ?? profile?.forceHttp ?? false
+    clargs.options.timeout = clargs.timeout ?? profile?.timeout ?? 5
   }
 
   // ===========================================================================
 
+  // ~/.ph contains a map of bridge ID to profile, as read by older versions
+  // of ph, which ignore the profile keys they don't know.
+  // The default profile has `default: true`.
   readBridges () {
     const text = readFileSync(process.env.HOME + '/.ph')
+    let obj
     try {
-      this.bridges = JSON.parse(text)
+      obj = JSON.parse(text)
     } catch (error) {
       this.warn('%s/.ph: file corrupted', process.env.HOME)
-      this.bridges = {}
+      obj = {}
     }
     // Convert old format
     const staleBridgeIds = []
     let converted = false
-    for (const bridgeId in this.bridges) {
+    if (obj.bridges != null) {
+      // Profiles and default bridge ID, as written by pre-releases of ph.
+      converted = true
+      if (obj.bridges[obj.default] != null) {
+        obj.bridges[obj.default].default = true
+      }
+      obj = obj.bridges
+    }
+    this.profiles = obj
+    delete this.defaultBridge
+    for (const bridgeId in this.profiles) {
+      if (this.profiles[bridgeId].default === true) {
+        this.defaultBridge = bridgeId
+        delete this.profiles[bridgeId].default
+      }
       if (/^00212E[0-9A-F]{10}$/.test(bridgeId)) {
         // delete stale apiKey for deCONZ
         converted = true
         staleBridgeIds.push(bridgeId)
-      } if (typeof this.bridges[bridgeId] === 'string') {
+      } if (typeof this.profiles[bridgeId] === 'string') {
         converted = true
-        this.bridges[bridgeId] = { apiKey: this.bridges[bridgeId] }
-      } else if (this.bridges[bridgeId].username != null) {
+        this.profiles[bridgeId] = { apiKey: this.profiles[bridgeId] }
+      } else if (this.profiles[bridgeId].username != null) {
         converted = true
-        this.bridges[bridgeId].apiKey = this.bridges[bridgeId].username
-        delete this.bridges[bridgeId].username
-      // FIXME: remove fingerprints from ~/.ph
-      // } else if (this.bridges[bridgeId].fingerprint != null) {
-      //   converted = true
-      //   delete this.bridges[bridgeId].fingerprint
+        this.profiles[bridgeId].apiKey = this.profiles[bridgeId].username
+        delete this.profiles[bridgeId].username
       }
     }
     for (const bridgeId of staleBridgeIds) {
-      delete this.bridges[bridgeId]
+      delete this.profiles[bridgeId]
     }
     if (converted) {
       this.writeBridges()
@@ -393,7 +643,14 @@ class PhTool extends CommandLineTool {
     const jsonFormatter = new JsonFormatter(
       { noWhiteSpace: true, sortKeys: true }
     )
-    const text = jsonFormatter.stringify(this.bridges)
+    const obj = {}
+    for (const bridgeId in this.profiles) {
+      obj[bridgeId] = this.profiles[bridgeId]
+      if (bridgeId === this.defaultBridge) {
+        obj[bridgeId] = Object.assign({ default: true }, obj[bridgeId])
+      }
+    }
+    const text = jsonFormatter.stringify(obj)
     writeFileSync(process.env.HOME + '/.ph', text, { mode: 0o600 })
   }
 
@@ -401,10 +658,7 @@ class PhTool extends CommandLineTool {
     const parser = new CommandLineParser(this.pkgJson)
     const clargs = {
       options: {
-        forceHttp: false,
-        host: process.env.PH_HOST || 'localhost',
-        logger: this,
-        timeout: 5
+        logger: this
       }
     }
     parser
@@ -413,14 +667,15 @@ class PhTool extends CommandLineTool {
       .option('H', 'hostname', (value) => {
         clargs.options.host = value
       })
+      .option('B', 'bridge', (value) => {
+        clargs.bridge = OptionParser.toString('bridge', value, true, true)
+      })
       .debug('D', 'debug', this)
       .flag('f', 'forceHttp', () => {
-        clargs.options.forceHttp = true
+        clargs.forceHttp = true
       })
       .option('t', 'timeout', (value) => {
-        clargs.options.timeout = OptionParser.toInt(
-          'timeout', value, 1, 60, true
-        )
+        clargs.timeout = OptionParser.toInt('timeout', value, 1, 60, true)
       })
       .option('u', 'username', (value) => {
         this.warn('-u: deprecated, use -K')
@@ -442,10 +697,7 @@ class PhTool extends CommandLineTool {
       .remaining((list) => { clargs.args = list })
     parser
       .parse()
-    const { port } = OptionParser.toHost('hostname', clargs.options.host, false, true)
-    if (port != null) {
-      throw new UsageError(`hostname: ${clargs.options.host}: not a valid hostname or IPv4 address`)
-    }
+    this.#selectBridge(clargs)
     return clargs
   }
 
@@ -469,14 +721,44 @@ class PhTool extends CommandLineTool {
     if (clargs.command === 'discover') {
       return this.discover(clargs.args)
     }
+    if (clargs.command === 'bridges') {
+      this.options = clargs.options
+      this.name = 'ph ' + clargs.command
+      this.usage = `${b('ph')} ${usage[clargs.command]}`
+      return this.bridges(clargs.args)
+    }
+    if (clargs.command === 'mockbridge') {
+      this.options = clargs.options
+      this.name = 'ph ' + clargs.command
+      this.usage = `${b('ph')} ${usage[clargs.command]}`
+      return this.mockbridge(clargs.args)
+    }
+    let eventlog
+    if (clargs.command === 'eventlog') {
+      this.name = 'ph ' + clargs.command
+      this.usage = `${b('ph')} ${usage[clargs.command]}`
+      eventlog = this.#parseEventlog(clargs.args)
+      if (eventlog.clargs.replay != null) {
+        // Replay doesn't need a bridge.
+        this.options = clargs.options
+        return this.#eventlog(eventlog)
+      }
+    }
     try {
       this.bridgeConfig = await this.hueDiscovery.config(clargs.options.host)
     } catch (error) {
       if (error.request == null) {
         this.error(error)
       }
-      this.fatal('%s: not a Hue bridge', clargs.options.host)
-      return
+      const host = error.request == null || error.statusCode != null
+        ? null
+        : await this.#resolveHost(clargs.options.host)
+      if (host == null) {
+        this.fatal('%s: not a Hue bridge', clargs.options.host)
+        return
+      }
+      clargs.options.host = host
+      this.bridgeConfig = await this.hueDiscovery.config(host)
     }
     if (clargs.command === 'config') {
       return this.config(clargs.args)
@@ -484,12 +766,21 @@ class PhTool extends CommandLineTool {
 
     clargs.options.config = this.bridgeConfig
     this.bridgeid = this.bridgeConfig.bridgeid
+    this.#applyProfile(clargs, this.profiles[this.bridgeid])
+    const host = OptionParser.toHost('host', clargs.options.host, true)
+    if (
+      this.profiles[this.bridgeid] != null &&
+      this.profiles[this.bridgeid].host !== host
+    ) {
+      this.profiles[this.bridgeid].host = host
+      this.writeBridges()
+    }
     if (clargs.options.apiKey == null) {
       if (
-        this.bridges[this.bridgeid] != null &&
-        this.bridges[this.bridgeid].apiKey != null
+        this.profiles[this.bridgeid] != null &&
+        this.profiles[this.bridgeid].apiKey != null
       ) {
-        clargs.options.apiKey = this.bridges[this.bridgeid].apiKey
+        clargs.options.apiKey = this.profiles[this.bridgeid].apiKey
       } else if (process.env.PH_API_KEY != null) {
         clargs.options.apiKey = process.env.PH_API_KEY
       } else if (process.env.PH_USERNAME != null) {
@@ -497,15 +788,17 @@ class PhTool extends CommandLineTool {
         clargs.options.apiKey = process.env.PH_USERNAME
       }
     }
-    // if (
-    //   this.bridges[this.bridgeid] != null &&
-    //   this.bridges[this.bridgeid].fingerprint != null
-    // ) {
-    //   clargs.options.fingerprint = this.bridges[this.bridgeid].fingerprint
-    // }
+    if (
+      this.profiles[this.bridgeid] != null &&
+      this.profiles[this.bridgeid].fingerprint != null
+    ) {
+      clargs.options.fingerprint = this.profiles[this.bridgeid].fingerprint
+    }
     if (clargs.options.apiKey == null && clargs.command !== 'getApiKey') {
       let args = ''
-      if (
+      if (clargs.bridge != null) {
+        args += ' -B ' + clargs.bridge
+      } else if (
         clargs.options.host !== 'localhost' &&
         clargs.options.host !== process.env.PH_HOST
       ) {
@@ -515,13 +808,52 @@ class PhTool extends CommandLineTool {
         'missing apiKey - press link button and run "ph%s getApiKey"', args
       )
     }
+    clargs.options.resolver = this.hueDiscovery
     this.hueClient = new HueClient(clargs.options)
+    this.hueClient.on('hostChanged', (oldHost, host) => {
+      if (this.profiles[this.bridgeid] != null) {
+        this.profiles[this.bridgeid].host = host
+        this.writeBridges()
+      }
+    })
+    this.hueClient.on('pinned', (fingerprint) => {
+      this.debug('pinned SSL certificate %s', fingerprint)
+      if (this.profiles[this.bridgeid] == null) {
+        this.profiles[this.bridgeid] = {}
+      }
+      this.profiles[this.bridgeid].fingerprint = fingerprint
+      this.writeBridges()
+    })
     this.options = clargs.options
     this.name = 'ph ' + clargs.command
     this.usage = `${b('ph')} ${usage[clargs.command]}`
+    if (eventlog != null) {
+      return this.#eventlog(eventlog)
+    }
     return this[clargs.command](clargs.args)
   }
 
+  // Find the Hue bridge last seen at host, after it has changed host.
+  // Returns the new host, or null when not found.
+  async #resolveHost (host) {
+    host = OptionParser.toHost('host', host, true)
+    const bridgeid = Object.keys(this.profiles).find((bridgeid) => {
+      return this.profiles[bridgeid].host === host
+    })
+    if (bridgeid == null) {
+      return null
+    }
+    this.debug('%s: searching for bridge %s', host, bridgeid)
+    const newHost = await this.hueDiscovery.find(bridgeid, { stealth: true })
+    if (newHost == null || newHost === host) {
+      return null
+    }
+    this.log('%s: bridge moved from %s to %s', bridgeid, host, newHost)
+    this.profiles[bridgeid].host = newHost
+    this.writeBridges()
+    return newHost
+  }
+
   // ===== GET =================================================================
 
   async #rget (obj) {
@@ -530,7 +862,7 @@ class PhTool extends CommandLineTool {
       return obj
     }
     if (this.cache[key] == null) {
-      this.cache[key] = await this.hueClient.get(key)
+      this.cache[key] = await this.hueClient.get(key, { priority: 'background' })
       delete this.cache[key].owner
       await this.#expand(this.cache[key])
     }
@@ -654,32 +986,86 @@ class PhTool extends CommandLineTool {
   // ===========================================================================
 
   async destroy () {
+    if (this.hueDiscovery != null) {
+      await this.hueDiscovery.stopMonitor()
+    }
     if (this.eventStream != null) {
       await this.eventStream.close()
     }
+    if (this.mqttBridge != null) {
+      await this.mqttBridge.close()
+    }
+    if (this.webhookForwarder != null) {
+      await this.webhookForwarder.close()
+    }
+    if (this.eventStreamServer != null) {
+      await this.eventStreamServer.close()
+    }
+    if (this.mockBridge != null) {
+      await this.mockBridge.close()
+    }
+  }
+
+  async #logChanges (subscription) {
+    try {
+      for await (const { resource, attributes } of subscription) {
+        this.log('%s: %s', resource, this.jsonFormatter.stringify(attributes))
+      }
+    } catch (error) { this.error(error) }
   }
 
   async eventlog (...args) {
+    return this.#eventlog(this.#parseEventlog(...args))
+  }
+
+  // Parse the eventlog arguments, before connecting to the Hue bridge, which
+  // isn't needed to replay a recording.
+  #parseEventlog (...args) {
     const parser = new CommandLineParser(this.pkgJson)
     let mode = 'daemon'
+    const clargs = { filter: [], speed: 1 }
     const options = {
       version: 1
     }
     parser
       .help('h', 'help', help.eventlog)
+      .option('F', 'filter', (value) => {
+        clargs.filter.push(OptionParser.toString('filter', value, true, true))
+      })
       .flag('n', 'noretry', () => { options.retryTime = 0 })
       .flag('r', 'raw', () => { options.raw = true })
       .flag('s', 'service', () => { mode = 'service' })
+      .option('t', 'stalltime', (value) => {
+        options.stallTime = OptionParser.toInt('stalltime', value, 0, 3600, true)
+      })
       .option('v', 'version', (value) => {
         options.version = OptionParser.toInt('version', value, 1, 2, true)
       })
+      .option('W', 'record', (value) => {
+        clargs.record = OptionParser.toString('record', value, true, true)
+      })
+      .option('R', 'replay', (value) => {
+        clargs.replay = OptionParser.toString('replay', value, true, true)
+      })
+      .option('x', 'speed', (value) => {
+        clargs.speed = OptionParser.toNumber('speed', value, 0, 1000, true)
+      })
       .parse(...args)
+    if (clargs.record != null && clargs.replay != null) {
+      throw new UsageError('-W and -R are mutually exclusive')
+    }
+    return { clargs, mode, options }
+  }
+
+  async #eventlog ({ clargs, mode, options }) {
     this.jsonFormatter = new JsonFormatter(
       mode === 'service' ? { noWhiteSpace: true } : {}
     )
-    if (this.hueClient.isHue2) {
+    if (clargs.replay != null || this.hueClient.isHue2) {
       const { EventStreamClient } = await import('./EventStreamClient.js')
-      this.eventStream = new EventStreamClient(this.hueClient, options)
+      this.eventStream = new EventStreamClient(
+        clargs.replay == null ? this.hueClient : null, options
+      )
       this.setOptions({ mode })
       this.eventStream
         .on('error', (error) => {
@@ -725,9 +1111,20 @@ class PhTool extends CommandLineTool {
         })
         .on('listening', (url) => { this.log('listening on %s', url) })
         .on('closed', (url) => { this.log('connection to %s closed', url) })
-        .on('changed', (resource, body) => {
-          this.log('%s: %s', resource, this.jsonFormatter.stringify(body))
+        .on('stalled', (url) => { this.warn('connection to %s stalled', url) })
+        .on('reconnecting', (attempt, delay) => {
+          this.log(
+            'reconnect attempt %d in %s seconds', attempt,
+            (delay / 1000).toFixed(1)
+          )
+        })
+        .on('reconnected', (attempt) => {
+          this.log('reconnected after %d attempts', attempt)
+        })
+        .on('added', (resource, body) => {
+          this.log('%s: added %s', resource, this.jsonFormatter.stringify(body))
         })
+        .on('deleted', (resource) => { this.log('%s: deleted', resource) })
         .on('notification', (body) => {
           if (options.raw) {
             this.log(this.jsonFormatter.stringify(body))
@@ -736,7 +1133,25 @@ class PhTool extends CommandLineTool {
           }
         })
         .on('data', (s) => { this.vdebug('data: %s', s) })
+        .on('paused', () => { this.debug('output too slow: paused') })
+        .on('resumed', () => { this.debug('resumed') })
+      const logging = this.#logChanges(
+        this.eventStream.subscribe({ resource: clargs.filter })
+      )
+      if (clargs.replay != null) {
+        const n = await this.eventStream.replay(clargs.replay, {
+          speed: clargs.speed
+        })
+        await this.eventStream.close()
+        await logging
+        this.log('%s: replayed %d notifications', clargs.replay, n)
+        return
+      }
       await this.eventStream.init()
+      if (clargs.record != null) {
+        await this.eventStream.record(clargs.record)
+        this.log('recording to %s', clargs.record)
+      }
       this.eventStream.listen()
     } else {
       await this.fatal('eventlog: only supported for Hue bridge with API v2')
@@ -775,15 +1190,196 @@ class PhTool extends CommandLineTool {
   async discover (...args) {
     const parser = new CommandLineParser(this.pkgJson)
     const params = {}
+    let watch = false
     parser
       .help('h', 'help', help.discover)
       .flag('S', 'stealth', () => { params.stealth = true })
+      .flag('s', 'scan', () => { params.scan = true })
+      .flag('w', 'watch', () => { watch = true })
+      .remaining((list) => {
+        if (list.length > 0) {
+          if (!params.scan) {
+            throw new UsageError('subnet: only valid with -s')
+          }
+          params.subnets = list
+        }
+      })
       .parse(...args)
+    if (watch && params.scan) {
+      throw new UsageError('-s: not valid with -w')
+    }
+    if (watch) {
+      this.setOptions({ mode: 'daemon' })
+      this.hueDiscovery
+        .on('error', (error) => { this.warn(error) })
+        .on('bridgeUp', (bridgeid, host, config) => {
+          this.log(
+            '%s: %s up at %s, api v%s, firmware %s', bridgeid, config.name,
+            host, config.apiversion, config.swversion
+          )
+        })
+        .on('bridgeDown', (bridgeid, host) => {
+          this.log('%s: down at %s', bridgeid, host)
+        })
+        .on('bridgeChanged', (bridgeid, changes) => {
+          for (const key in changes) {
+            this.log(
+              '%s: %s changed from %s to %s', bridgeid, key,
+              changes[key].from, changes[key].to
+            )
+          }
+        })
+      await this.hueDiscovery.monitor(params)
+      return
+    }
     const jsonFormatter = new JsonFormatter({ sortKeys: true })
-    const bridges = await this.hueDiscovery.discover(params)
+    params.hasApiKey = (bridgeid) => this.profiles[bridgeid]?.apiKey != null
+    let bridges
+    try {
+      bridges = await this.hueDiscovery.discover(params)
+    } catch (error) {
+      if (error instanceof RangeError) {
+        throw new UsageError(error.message)
+      }
+      throw error
+    }
     this.print(jsonFormatter.stringify(bridges))
   }
 
+  async bridges (...args) {
+    const parser = new CommandLineParser(this.pkgJson)
+    const clargs = {
+      subcommand: 'list',
+      args: []
+    }
+    parser
+      .help('h', 'help', help.bridges)
+      .parameter('subcommand', (value) => {
+        if (!['list', 'add', 'remove', 'default', 'rename'].includes(value)) {
+          throw new UsageError(`${value}: unknown subcommand`)
+        }
+        clargs.subcommand = value
+      }, true)
+      .remaining((list) => { clargs.args = list })
+      .parse(...args)
+    switch (clargs.subcommand) {
+      case 'list':
+        return this.#listBridges(clargs.args)
+      case 'add':
+        return this.#addBridge(clargs.args)
+      default:
+        break
+    }
+    const [name, newName, ...rest] = clargs.args
+    if (rest.length > 0 || (newName != null && clargs.subcommand !== 'rename')) {
+      throw new UsageError('too many parameters')
+    }
+    if (name == null) {
+      if (clargs.subcommand === 'default') {
+        const profile = this.profiles[this.defaultBridge]
+        if (profile != null) {
+          this.print(profile.name ?? this.defaultBridge)
+        }
+        return
+      }
+      throw new UsageError('missing name')
+    }
+    const bridgeid = this.#lookupBridge(name)
+    if (bridgeid == null) {
+      throw new UsageError(`${name}: unknown bridge`)
+    }
+    switch (clargs.subcommand) {
+      case 'remove':
+        delete this.profiles[bridgeid]
+        if (this.defaultBridge === bridgeid) {
+          delete this.defaultBridge
+        }
+        break
+      case 'default':
+        this.defaultBridge = bridgeid
+        break
+      case 'rename':
+        if (newName == null) {
+          throw new UsageError('missing newName')
+        }
+        this.#checkName(newName, bridgeid)
+        this.profiles[bridgeid].name = newName
+        break
+    }
+    this.writeBridges()
+  }
+
+  #listBridges (args) {
+    if (args.length > 0) {
+      throw new UsageError('too many parameters')
+    }
+    const jsonFormatter = new JsonFormatter({ sortKeys: true })
+    const result = {}
+    for (const bridgeid in this.profiles) {
+      const { apiKey, fingerprint, ...profile } = this.profiles[bridgeid]
+      profile.hasApiKey = apiKey != null
+      profile.default = bridgeid === this.defaultBridge
+      result[bridgeid] = profile
+    }
+    this.print(jsonFormatter.stringify(result))
+  }
+
+  async #addBridge (args) {
+    const parser = new CommandLineParser(this.pkgJson)
+    const clargs = {
+      aliases: []
+    }
+    parser
+      .help('h', 'help', help.bridges)
+      .flag('f', 'forceHttp', () => { clargs.forceHttp = true })
+      .option('t', 'timeout', (value) => {
+        clargs.timeout = OptionParser.toInt('timeout', value, 1, 60, true)
+      })
+      .option('a', 'alias', (value) => {
+        clargs.aliases.push(OptionParser.toString('alias', value, true, true))
+      })
+      .parameter('name', (value) => { clargs.name = value })
+      .parse(args)
+    if (!this.hostSpecified) {
+      // Don't silently add or overwrite the profile of the default bridge.
+      throw new UsageError('missing host, use -H or PH_HOST')
+    }
+    const config = await this.hueDiscovery.config(this.options.host)
+    const bridgeid = config.bridgeid
+    for (const name of [clargs.name, ...clargs.aliases]) {
+      this.#checkName(name, bridgeid)
+    }
+    const profile = this.profiles[bridgeid] ?? {}
+    profile.name = clargs.name
+    profile.host = OptionParser.toHost('host', this.options.host, true)
+    if (clargs.aliases.length > 0) {
+      profile.aliases = [...new Set([...profile.aliases ?? [], ...clargs.aliases])]
+    }
+    if (clargs.forceHttp != null) {
+      profile.forceHttp = clargs.forceHttp
+    }
+    if (clargs.timeout != null) {
+      profile.timeout = clargs.timeout
+    }
+    this.profiles[bridgeid] = profile
+    if (this.profiles[this.defaultBridge] == null) {
+      this.defaultBridge = bridgeid
+    }
+    this.writeBridges()
+    this.log('%s: added %s as %s', this.options.host, bridgeid, clargs.name)
+  }
+
+  // Check that name can be used for the profile of bridgeid.
+  #checkName (name, bridgeid) {
+    if (/^[0-9A-Fa-f]{16}$/.test(name)) {
+      throw new UsageError(`${name}: invalid name`)
+    }
+    const other = this.#lookupBridge(name)
+    if (other != null && other !== bridgeid) {
+      throw new UsageError(`${name}: already used for ${other}`)
+    }
+  }
+
   async config (...args) {
     const parser = new CommandLineParser(this.pkgJson)
     const options = {}
@@ -819,10 +1415,13 @@ class PhTool extends CommandLineTool {
       .parse(...args)
     const apiKey = await this.hueClient.getApiKey('ph')
     this.print(jsonFormatter.stringify(apiKey))
-    this.bridges[this.bridgeid] = { apiKey }
-    // if (this.hueClient.fingerprint != null) {
-    //   this.bridges[this.bridgeid].fingerprint = this.hueClient.fingerprint
-    // }
+    const profile = this.profiles[this.bridgeid] ?? {}
+    profile.apiKey = apiKey
+    profile.host = OptionParser.toHost('host', this.options.host, true)
+    if (this.hueClient.fingerprint != null) {
+      profile.fingerprint = this.hueClient.fingerprint
+    }
+    this.profiles[this.bridgeid] = profile
     this.writeBridges()
   }
 
@@ -840,6 +1439,42 @@ class PhTool extends CommandLineTool {
     this.print(jsonFormatter.stringify(response))
   }
 
+  async pin (...args) {
+    const parser = new CommandLineParser(this.pkgJson)
+    const clargs = {}
+    parser
+      .help('h', 'help', help.pin)
+      .flag('s', 'show', () => { clargs.show = true })
+      .flag('r', 'reset', () => { clargs.reset = true })
+      .parse(...args)
+    if (clargs.show && clargs.reset) {
+      throw new UsageError('-s and -r are mutually exclusive')
+    }
+    if (!this.hueClient.url.startsWith('https:')) {
+      await this.fatal('pin: only supported for Hue bridge over HTTPS')
+    }
+    if (clargs.reset && this.profiles[this.bridgeid] != null) {
+      delete this.profiles[this.bridgeid].fingerprint
+      this.writeBridges()
+    }
+    if (clargs.reset) {
+      this.hueClient.fingerprint = null
+    }
+    try {
+      // Pin the certificate, or check it against the pinned fingerprint.
+      await this.hueClient.get('/config/bridgeid')
+    } catch (error) {
+      if (error.message === 'SSL certificate fingerprint mismatch') {
+        await this.fatal(
+          'certificate changed - run "ph pin -r" to pin the new certificate'
+        )
+      }
+      throw error
+    }
+    const jsonFormatter = new JsonFormatter()
+    this.print(jsonFormatter.stringify(this.hueClient.fingerprint))
+  }
+
   async unlock (...args) {
     return this.simpleCommand('unlock', ...args)
   }
@@ -965,7 +1600,9 @@ class PhTool extends CommandLineTool {
       let count = 0
       return new Promise((resolve, reject) => {
         const interval = setInterval(async () => {
-          const ct = await this.hueClient.get(clargs.light + '/state/ct')
+          const ct = await this.hueClient.get(
+            clargs.light + '/state/ct', { priority: 'background' }
+          )
           if (ct !== value || ++count > clargs.maxCount) {
             clearInterval(interval)
             clargs.verbose && this.logc(
@@ -984,7 +1621,9 @@ class PhTool extends CommandLineTool {
       let count = 0
       return new Promise((resolve, reject) => {
         const interval = setInterval(async () => {
-          const xy = await this.hueClient.get(clargs.light + '/state/xy')
+          const xy = await this.hueClient.get(
+            clargs.light + '/state/xy', { priority: 'background' }
+          )
           if (
             xy[0] !== value[0] || xy[1] !== value[1] ||
             ++count > clargs.maxCount
@@ -1067,6 +1706,210 @@ class PhTool extends CommandLineTool {
       }, 2500)
     })
   }
+
+  // ===========================================================================
+
+  async 'serve-events' (...args) {
+    const parser = new CommandLineParser(this.pkgJson)
+    const clargs = {
+      address: '127.0.0.1',
+      port: 8080
+    }
+    parser
+      .help('h', 'help', help['serve-events'])
+      .option('a', 'address', (value) => {
+        clargs.address = OptionParser.toString('address', value, true, true)
+      })
+      .option('p', 'port', (value) => {
+        clargs.port = OptionParser.toInt('port', value, 0, 65535, true)
+      })
+      .parse(...args)
+    if (!this.hueClient.isHue2) {
+      await this.fatal('serve-events: only supported for Hue bridge with API v2')
+    }
+    const { EventStreamServer } = await import('./EventStreamServer.js')
+    this.eventStreamServer = new EventStreamServer(this.hueClient, {
+      hostname: clargs.address,
+      port: clargs.port
+    })
+    this.setOptions({ mode: 'daemon' })
+    this.eventStreamServer
+      .on('error', (error) => { this.warn(error) })
+      .on('listening', (url) => { this.log('serving events on %s', url) })
+      .on('clientConnected', (id, info) => {
+        this.log(
+          'client %d: %s %s connected (%s style)', id, info.address,
+          info.protocol, info.style
+        )
+      })
+      .on('clientDisconnected', (id) => {
+        this.log('client %d: disconnected', id)
+      })
+      .on('clientDropped', (id, buffered) => {
+        this.warn('client %d: disconnected, %d bytes not sent', id, buffered)
+      })
+      .on('closed', () => { this.log('server closed') })
+    this.eventStreamServer.eventStream
+      .on('listening', (url) => { this.log('listening on %s', url) })
+      .on('closed', (url) => { this.log('connection to %s closed', url) })
+    await this.eventStreamServer.listen()
+  }
+
+  async mqtt (...args) {
+    const parser = new CommandLineParser(this.pkgJson)
+    const clargs = {
+      params: {}
+    }
+    parser
+      .help('h', 'help', help.mqtt)
+      .flag('v', 'verbose', () => { clargs.verbose = true })
+      .option('p', 'prefix', (value) => {
+        clargs.params.prefix = OptionParser.toString('prefix', value, true, true)
+      })
+      .remaining((list) => {
+        if (list.length > 1) {
+          throw new UsageError('too many parameters')
+        }
+        if (list.length === 1) {
+          clargs.params.url = list[0]
+        }
+      })
+      .parse(...args)
+    if (!this.hueClient.isHue2) {
+      await this.fatal('mqtt: only supported for Hue bridge with API v2')
+    }
+    const { MqttBridge } = await import('./MqttBridge.js')
+    this.mqttBridge = new MqttBridge(this.hueClient, clargs.params)
+    this.setOptions({ mode: 'daemon' })
+    this.mqttBridge
+      .on('error', (error) => { this.warn(error) })
+      .on('connected', (url) => { this.log('connected to %s', url) })
+      .on('disconnected', (url) => { this.log('connection to %s closed', url) })
+      .on('published', (topic, payload) => {
+        clargs.verbose && this.log('%s: %s', topic, payload)
+      })
+      .on('set', (resource, body) => {
+        clargs.verbose && this.log('%s: set %j', resource, body)
+      })
+    this.mqttBridge.bridgeState.eventStream
+      .on('listening', (url) => { this.log('listening on %s', url) })
+      .on('closed', (url) => { this.log('connection to %s closed', url) })
+    await this.mqttBridge.connect()
+  }
+
+  async webhook (...args) {
+    const parser = new CommandLineParser(this.pkgJson)
+    const clargs = {}
+    parser
+      .help('h', 'help', help.webhook)
+      .flag('v', 'verbose', () => { clargs.verbose = true })
+      .parameter('config', (value) => {
+        clargs.config = OptionParser.toString('config', value, true, true)
+      })
+      .parse(...args)
+    if (!this.hueClient.isHue2) {
+      await this.fatal('webhook: only supported for Hue bridge with API v2')
+    }
+    let params
+    try {
+      params = OptionParser.toObject(
+        'config', JSON.parse(readFileSync(clargs.config, 'utf8'))
+      )
+    } catch (error) {
+      await this.fatal('%s: %s', clargs.config, error.message)
+    }
+    const { version = 2, ...forwarderParams } = params
+    forwarderParams.queueFile ??= clargs.config + '.queue'
+    const { EventStreamClient } = await import('./EventStreamClient.js')
+    const { WebhookForwarder } = await import('./WebhookForwarder.js')
+    this.eventStream = new EventStreamClient(this.hueClient, { version })
+    try {
+      this.webhookForwarder = new WebhookForwarder(
+        this.eventStream, forwarderParams
+      )
+    } catch (error) {
+      await this.fatal('%s: %s', clargs.config, error.message)
+    }
+    this.setOptions({ mode: 'daemon' })
+    this.eventStream
+      .on('error', (error) => { this.warn(error) })
+      .on('listening', (url) => { this.log('listening on %s', url) })
+      .on('closed', (url) => { this.log('connection to %s closed', url) })
+    this.webhookForwarder
+      .on('error', (error) => { this.warn(error) })
+      .on('delivered', (url, statusCode, delivery) => {
+        clargs.verbose && this.log(
+          '%s %s: %d %s', delivery.method, url, statusCode, delivery.body
+        )
+      })
+      .on('failed', (url, error, retry) => {
+        this.warn('%s: %s (attempt %d)', url, error.message, retry + 1)
+      })
+      .on('down', (url, queued) => {
+        this.warn('%s: down, %d requests queued', url, queued)
+      })
+      .on('dropped', (url, error, delivery) => {
+        this.warn('%s: %s, dropped %s', url, error.message, delivery.body)
+      })
+    await this.webhookForwarder.init()
+    await this.eventStream.init()
+    this.eventStream.listen()
+  }
+
+  async mockbridge (...args) {
+    const parser = new CommandLineParser(this.pkgJson)
+    const clargs = {
+      address: '127.0.0.1',
+      port: 0
+    }
+    parser
+      .help('h', 'help', help.mockbridge)
+      .flag('l', 'linkbutton', () => { clargs.linkbutton = true })
+      .flag('v', 'verbose', () => { clargs.verbose = true })
+      .option('a', 'address', (value) => {
+        clargs.address = OptionParser.toString('address', value, true, true)
+      })
+      .option('p', 'port', (value) => {
+        clargs.port = OptionParser.toInt('port', value, 0, 65535, true)
+      })
+      .remaining((list) => {
+        if (list.length > 1) {
+          throw new UsageError('too many parameters')
+        }
+        clargs.fixture = list[0]
+      })
+      .parse(...args)
+    const params = { logger: this }
+    if (this.options.apiKey != null) {
+      params.apiKey = this.options.apiKey
+    }
+    if (clargs.fixture != null) {
+      try {
+        params.state = JSON.parse(readFileSync(clargs.fixture))
+      } catch (error) {
+        await this.fatal('%s: %s', clargs.fixture, error.message)
+      }
+    }
+    const { MockHueBridge } = await import('./MockHueBridge.js')
+    this.mockBridge = new MockHueBridge(params)
+    if (clargs.linkbutton) {
+      this.mockBridge.pressLinkButton()
+    }
+    this.setOptions({ mode: 'daemon' })
+    this.mockBridge
+      .on('listening', (host) => {
+        this.log(
+          'mock bridge %s listening on %s', this.mockBridge.config.bridgeid, host
+        )
+      })
+      .on('request', (method, path, body) => {
+        clargs.verbose && this.log(
+          '%s %s%s', method, path, body == null ? '' : ' ' + body
+        )
+      })
+      .on('closed', () => { this.log('mock bridge closed') })
+    await this.mockBridge.listen(clargs.port, clargs.address)
+  }
 }
 
 export { PhTool }
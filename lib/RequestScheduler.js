@@ -0,0 +1,149 @@
+// hb-hue-tools/lib/RequestScheduler.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+
+import { OptionParser } from 'hb-lib-tools/OptionParser'
+
+/** Request scheduler with priority lanes.
+  *
+  * Requests to the Hue bridge are issued in one of three lanes:
+  * - `interactive`, for requests a user is waiting for;
+  * - `normal`, the default;
+  * - `background`, for polling, crawling, and other bulk requests.
+  *
+  * The scheduler limits the number of requests running at once.
+  * When a request finishes, the scheduler starts a waiting request from the
+  * highest lane that has any.
+  * It limits the number of background requests running at once further, so
+  * bulk requests cannot occupy all connections to the Hue bridge.
+  */
+class RequestScheduler {
+  /** The priority lanes, from highest to lowest.
+    * @type {string[]}
+    */
+  static get priorities () { return ['interactive', 'normal', 'background'] }
+
+  /** Create a new request scheduler.
+    * @param {object} params - Parameters.
+    * @param {integer} [params.maxRequests=20] - Maximum number of requests
+    * running at once.
+    * @param {integer} [params.maxBackground=2] - Maximum number of background
+    * requests running at once.
+    */
+  constructor (params = {}) {
+    this._options = {
+      maxBackground: 2,
+      maxRequests: 20
+    }
+    const optionParser = new OptionParser(this._options)
+    optionParser
+      .intKey('maxBackground', 1, 20)
+      .intKey('maxRequests', 1, 20)
+      .parse(params)
+    this.lanes = {}
+    this._running = {}
+    for (const priority of RequestScheduler.priorities) {
+      this.lanes[priority] = []
+      this._running[priority] = 0
+    }
+    this.total = 0
+  }
+
+  /** The number of waiting requests, per lane.
+    * @type {object}
+    * @readonly
+    */
+  get queued () {
+    const queued = {}
+    for (const priority in this.lanes) {
+      queued[priority] = this.lanes[priority].length
+    }
+    return queued
+  }
+
+  /** The number of running requests, per lane.
+    * @type {object}
+    * @readonly
+    */
+  get running () { return Object.assign({}, this._running) }
+
+  /** Wait for a request to be allowed to run.
+    * @param {string} [priority='normal'] - The lane of the request.
+    * @param {AbortSignal} [signal] - Signal to abort waiting.
+    * @returns {function} Function to call when the request has finished.
+    * @throws {*} The `reason` of the signal, when aborted.
+    */
+  async acquire (priority = 'normal', signal) {
+    OptionParser.toString('priority', priority, true)
+    if (this.lanes[priority] == null) {
+      throw new RangeError(`${priority}: invalid priority`)
+    }
+    signal?.throwIfAborted()
+    if (this.#canRun(priority) && this.#isFirst(priority)) {
+      return this.#start(priority)
+    }
+    return new Promise((resolve, reject) => {
+      const entry = { resolve }
+      if (signal != null) {
+        entry.onAbort = () => {
+          const lane = this.lanes[priority]
+          lane.splice(lane.indexOf(entry), 1)
+          reject(signal.reason)
+        }
+        signal.addEventListener('abort', entry.onAbort, { once: true })
+        entry.signal = signal
+      }
+      this.lanes[priority].push(entry)
+    })
+  }
+
+  #canRun (priority) {
+    return this.total < this._options.maxRequests && (
+      priority !== 'background' ||
+      this._running.background < this._options.maxBackground
+    )
+  }
+
+  // Check that no request of the same or a higher lane is waiting.
+  #isFirst (priority) {
+    for (const p of RequestScheduler.priorities) {
+      if (this.lanes[p].length > 0) {
+        return false
+      }
+      if (p === priority) {
+        return true
+      }
+    }
+  }
+
+  #start (priority) {
+    this.total++
+    this._running[priority]++
+    let released = false
+    return () => {
+      if (!released) {
+        released = true
+        this.total--
+        this._running[priority]--
+        this.#next()
+      }
+    }
+  }
+
+  // Start waiting requests, from the highest lane first.
+  #next () {
+    for (const priority of RequestScheduler.priorities) {
+      while (this.lanes[priority].length > 0 && this.#canRun(priority)) {
+        const entry = this.lanes[priority].shift()
+        entry.signal?.removeEventListener('abort', entry.onAbort)
+        entry.resolve(this.#start(priority))
+      }
+      if (this.total >= this._options.maxRequests) {
+        return
+      }
+    }
+  }
+}
+
+export { RequestScheduler }
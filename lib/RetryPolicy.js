@@ -0,0 +1,129 @@
+// hb-hue-tools/lib/RetryPolicy.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+
+import { constants } from 'node:os'
+
+import { OptionParser } from 'hb-lib-tools/OptionParser'
+
+// Methods that can safely be resent.
+const idempotentMethods = ['GET', 'PUT', 'DELETE']
+
+/** Policy for resending failed requests to the Hue bridge.
+  *
+  * The policy decides which errors are retried, how often, and after what
+  * delay.
+  * The delay doubles for each retry, up to a maximum, and is randomised
+  * between half and the full delay, to prevent clients from retrying in
+  * lockstep.
+  *
+  * To customise the policy beyond its parameters, create a subclass that
+  * overrides {@link RetryPolicy#shouldRetry shouldRetry()} and/or
+  * {@link RetryPolicy#delay delay()}, and pass an instance as
+  * `params.retryPolicy` to {@link HueClient}.
+  */
+class RetryPolicy {
+  /** Return the system error code of an error.
+    *
+    * {@link HttpClient.HttpError} only carries the message of the underlying
+    * system error, e.g. `read ECONNRESET`, so the code is taken from the
+    * message, when it contains a known system error code.
+    * Node.js reports a connection closed by the server as `socket hang up`,
+    * with code `ECONNRESET`.
+    * @param {Error} error - The error.
+    * @returns {?string} The error code, e.g. `ECONNRESET`.
+    */
+  static errorCode (error) {
+    const code = error.code ?? error.cause?.code
+    if (code != null) {
+      return code
+    }
+    if (error.message === 'socket hang up') {
+      return 'ECONNRESET'
+    }
+    return error.message?.split(' ').find((word) => {
+      return constants.errno[word] != null
+    }) ?? null
+  }
+
+  /** Create a new retry policy.
+    * @param {object} params - Parameters.
+    * @param {integer} [params.retries=5] - Maximum number of retries.
+    * Specify `0` to disable retries.
+    * @param {integer} [params.baseDelay=300] - The delay (in milliseconds)
+    * before the first retry.
+    * @param {integer} [params.maxDelay=5000] - The maximum delay (in
+    * milliseconds) before a retry.
+    * @param {string[]} [params.errorCodes=['ECONNRESET', 'ETIMEDOUT']] -
+    * System errors to retry.
+    * @param {integer[]} [params.statusCodes=[408, 429, 503]] - HTTP status
+    * codes to retry.
+    * Note that {@link HueClient} reports a request timeout as status `408`.
+    * @param {integer[]} [params.apiErrors=[901]] - API v1 error types to
+    * retry.
+    * @param {boolean} [params.retryPost=false] - Retry POST requests.
+    * Note that a POST request that timed out or lost its connection might
+    * still have been processed by the Hue bridge, so resending it might
+    * create the resource twice.
+    */
+  constructor (params = {}) {
+    this._options = {
+      apiErrors: [901],
+      baseDelay: 300,
+      errorCodes: ['ECONNRESET', 'ETIMEDOUT'],
+      maxDelay: 5000,
+      retries: 5,
+      retryPost: false,
+      statusCodes: [408, 429, 503]
+    }
+    const optionParser = new OptionParser(this._options)
+    optionParser
+      .arrayKey('apiErrors')
+      .intKey('baseDelay', 0, 60000)
+      .arrayKey('errorCodes')
+      .intKey('maxDelay', 0, 600000)
+      .intKey('retries', 0, 100)
+      .boolKey('retryPost')
+      .arrayKey('statusCodes')
+      .parse(params)
+  }
+
+  /** Maximum number of retries.
+    * @type {integer}
+    * @readonly
+    */
+  get retries () { return this._options.retries }
+
+  /** Check whether a failed request should be resent.
+    * @param {Error} error - The error.
+    * @param {string} method - The method of the request.
+    * @param {integer} retry - The number of times the request has been
+    * resent.
+    * @returns {boolean}
+    */
+  shouldRetry (error, method, retry) {
+    if (retry >= this._options.retries) {
+      return false
+    }
+    if (!idempotentMethods.includes(method) && !this._options.retryPost) {
+      return false
+    }
+    return this._options.errorCodes.includes(RetryPolicy.errorCode(error)) ||
+      this._options.statusCodes.includes(error.statusCode) ||
+      this._options.apiErrors.includes(error.type)
+  }
+
+  /** Return the delay before resending a request.
+    * @param {integer} retry - The number of the retry, starting at 1.
+    * @returns {integer} The delay (in milliseconds).
+    */
+  delay (retry) {
+    const delay = Math.min(
+      this._options.baseDelay * 2 ** (retry - 1), this._options.maxDelay
+    )
+    return Math.round(delay / 2 + Math.random() * delay / 2)
+  }
+}
+
+export { RetryPolicy }
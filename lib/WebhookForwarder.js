@@ -0,0 +1,431 @@
+// hb-hue-tools/lib/WebhookForwarder.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+
+import { createHmac, randomUUID } from 'node:crypto'
+import { EventEmitter } from 'node:events'
+import { readFile, rename, writeFile } from 'node:fs/promises'
+
+import { HttpClient } from 'hb-lib-tools/HttpClient'
+import { OptionParser } from 'hb-lib-tools/OptionParser'
+
+import { EventStreamClient } from './EventStreamClient.js'
+
+// Return the value of a dotted path, e.g. `attributes.on.on`, in context.
+function lookup (context, path) {
+  let value = context
+  for (const key of path.split('.')) {
+    value = value?.[key]
+  }
+  return value
+}
+
+// Expand the `{{path}}` placeholders in template.
+// A string consisting of a single placeholder is replaced by the value,
+// which needn't be a string.
+function expand (template, context) {
+  if (typeof template === 'string') {
+    const match = /^\{\{([^}]+)\}\}$/.exec(template)
+    if (match != null) {
+      return lookup(context, match[1].trim())
+    }
+    return template.replace(/\{\{([^}]+)\}\}/g, (s, path) => {
+      const value = lookup(context, path.trim())
+      return value == null
+        ? ''
+        : typeof value === 'object' ? JSON.stringify(value) : String(value)
+    })
+  }
+  if (Array.isArray(template)) {
+    return template.map((value) => { return expand(value, context) })
+  }
+  if (template != null && typeof template === 'object') {
+    const result = {}
+    for (const key in template) {
+      result[key] = expand(template[key], context)
+    }
+    return result
+  }
+  return template
+}
+
+// HTTP status codes for a successful request.
+const successCodes = Array.from({ length: 100 }, (v, i) => 200 + i)
+
+// Return whether a request failed with error will fail again on retry:
+// a client error, other than a timeout or rate limit.
+function isPermanent (error) {
+  return error.statusCode >= 400 && error.statusCode < 500 &&
+    ![408, 429].includes(error.statusCode)
+}
+
+/** Forwarder of event stream events to HTTP webhooks.
+  *
+  * Each rule matches the resource of the
+  * {@link EventStreamClient#event:changed changed},
+  * {@link EventStreamClient#event:added added}, and
+  * {@link EventStreamClient#event:deleted deleted} events against a glob,
+  * see {@link EventStreamClient#subscribe subscribe()}, and sends matching
+  * events to a URL.
+  *
+  * The request body is a JSON template, where strings can contain
+  * `{{`_path_`}}` placeholders into an object with `event`, `resource`,
+  * `attributes` (for `changed`), `data` (for `added`), and `time`.
+  * By default, the body contains these keys.
+  * When a secret is set, the body is signed with HMAC-SHA256, in the
+  * `X-Hub-Signature-256` header, as `sha256=`_hex_.
+  *
+  * Requests are sent in order, per URL.
+  * Any `2xx` HTTP status counts as success.
+  * A failed request is retried, with exponential backoff.
+  * A request rejected with a `4xx` HTTP status, other than `408` or `429`,
+  * won't succeed on retry, and is dropped.
+  * While a URL is down, its requests are queued.
+  * The queue is kept on disk, so no requests are lost when the forwarder
+  * is restarted.
+  * When the queue is full, the oldest request that is not being sent is
+  * dropped.
+  * @extends EventEmitter
+  */
+class WebhookForwarder extends EventEmitter {
+  /** A webhook rule.
+    * @typedef {object} WebhookForwarder.Rule
+    * @property {string|string[]} filter - Glob(s) on the resource.
+    * @property {string[]} [events=['changed', 'added', 'deleted']] - The
+    * events to send.
+    * @property {string} url - The URL of the webhook.
+    * @property {string} [method='POST'] - The HTTP method.
+    * @property {object} [headers={}] - Additional HTTP headers.
+    * @property {*} [body] - The body template.
+    * @property {string} [secret] - Secret to sign the body, overriding
+    * `params.secret`.
+    */
+
+  /** Create a new webhook forwarder.
+    * @param {EventStreamClient} eventStream - The event stream client.
+    * @param {object} params - Parameters.
+    * @param {WebhookForwarder.Rule[]} params.rules - The rules.
+    * @param {string} params.queueFile - File to keep the request queue.
+    * @param {string} [params.secret] - Secret to sign the body.
+    * @param {integer} [params.retries=3] - Number of times to retry a failed
+    * request, before considering the URL down.
+    * @param {integer} [params.retryTime=1] - Time (in seconds) before the
+    * first retry.  The time is doubled for each next retry.
+    * @param {integer} [params.downTime=60] - Time (in seconds) to wait before
+    * retrying a URL that is down.
+    * @param {integer} [params.timeout=5] - Timeout (in seconds) for requests.
+    * @param {integer} [params.maxQueue=1000] - Maximum number of queued
+    * requests.
+    */
+  constructor (eventStream, params = {}) {
+    super()
+    if (!(eventStream instanceof EventStreamClient)) {
+      throw new TypeError('eventStream: not an EventStreamClient')
+    }
+    this._options = {
+      downTime: 60,
+      eventStream,
+      maxQueue: 1000,
+      retries: 3,
+      retryTime: 1,
+      timeout: 5
+    }
+    const optionParser = new OptionParser(this._options)
+    optionParser
+      .intKey('downTime', 1, 3600)
+      .intKey('maxQueue', 1, 100000)
+      .stringKey('queueFile', true)
+      .intKey('retries', 0, 10)
+      .intKey('retryTime', 1, 60)
+      .arrayKey('rules')
+      .stringKey('secret')
+      .intKey('timeout', 1, 60)
+      .parse(params)
+    if (this._options.queueFile == null) {
+      throw new SyntaxError('queueFile: missing')
+    }
+    this.rules = (this._options.rules ?? []).map((rule, i) => {
+      return this.#parseRule(rule, i)
+    })
+    this.queue = []
+    this.workers = {}
+    this.sending = new Set()
+    this.waits = new Set()
+    this.clients = {}
+    this.saving = Promise.resolve()
+    for (const event of ['changed', 'added', 'deleted']) {
+      eventStream.on(event, (resource, value) => {
+        this.#onEvent(event, resource, value)
+      })
+    }
+  }
+
+  #parseRule (rule, i) {
+    const key = `rules[${i}]`
+    const { body, ...options } = OptionParser.toObject(key, rule)
+    const result = {
+      events: ['changed', 'added', 'deleted'],
+      headers: {},
+      method: 'POST'
+    }
+    const optionParser = new OptionParser(result)
+    optionParser
+      .listKey('events')
+      .listKey('filter')
+      .objectKey('headers')
+      .stringKey('method', true)
+      .stringKey('secret')
+      .stringKey('url', true)
+      .parse(options)
+    if (body !== undefined) {
+      result.body = body
+    }
+    if (result.url == null) {
+      throw new SyntaxError(`${key}.url: missing`)
+    }
+    result.url = new URL(result.url)
+    result.filter = EventStreamClient.globsToRegExp(result.filter)
+    return result
+  }
+
+  /** Load the queue from disk and send any queued requests.
+    */
+  async init () {
+    try {
+      const text = await readFile(this._options.queueFile, 'utf8')
+      for (const line of text.split('\n')) {
+        if (line.trim() !== '') {
+          this.queue.push(JSON.parse(line))
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+    }
+    for (const delivery of this.queue) {
+      this.#startWorker(delivery.url)
+    }
+  }
+
+  /** Stop sending requests.
+    *
+    * Pending requests remain in the queue on disk.
+    */
+  async close () {
+    this.closed = true
+    for (const wait of this.waits) {
+      clearTimeout(wait.timer)
+      wait.resolve()
+    }
+    this.waits.clear()
+    await Promise.all(Object.values(this.workers))
+    await this.saving
+  }
+
+  // Wait for ms milliseconds, or until the forwarder is closed.
+  async #wait (ms) {
+    if (this.closed) {
+      return
+    }
+    return new Promise((resolve) => {
+      const wait = { resolve }
+      wait.timer = setTimeout(() => {
+        this.waits.delete(wait)
+        resolve()
+      }, ms)
+      this.waits.add(wait)
+    })
+  }
+
+  #onEvent (event, resource, value) {
+    if (this.closed) {
+      return
+    }
+    const time = new Date().toISOString()
+    const context = { event, resource, time }
+    if (event === 'changed') {
+      context.attributes = value
+    } else if (event === 'added') {
+      context.data = value
+    }
+    for (const rule of this.rules) {
+      if (!rule.events.includes(event) || !rule.filter.test(resource)) {
+        continue
+      }
+      const body = JSON.stringify(
+        rule.body === undefined ? context : expand(rule.body, context)
+      )
+      const headers = Object.assign({
+        'Content-Type': 'application/json'
+      }, rule.headers)
+      const secret = rule.secret ?? this._options.secret
+      if (secret != null) {
+        headers['X-Hub-Signature-256'] = 'sha256=' +
+          createHmac('sha256', secret).update(body).digest('hex')
+      }
+      this.#enqueue({
+        id: randomUUID(),
+        time,
+        url: rule.url.href,
+        method: rule.method,
+        headers,
+        body
+      })
+    }
+  }
+
+  #enqueue (delivery) {
+    this.queue.push(delivery)
+    if (this.queue.length > this._options.maxQueue) {
+      const oldest = this.queue.find((delivery) => {
+        return !this.sending.has(delivery)
+      })
+      this.#drop(oldest, new Error('queue full'))
+    }
+    this.#save()
+    this.#startWorker(delivery.url)
+  }
+
+  // Remove delivery from the queue.
+  #remove (delivery) {
+    const index = this.queue.indexOf(delivery)
+    if (index >= 0) {
+      this.queue.splice(index, 1)
+    }
+  }
+
+  // Give up on delivery.
+  #drop (delivery, error) {
+    this.#remove(delivery)
+    /** Emitted when a request has been dropped, because the webhook rejected
+      * it, or because the queue is full.
+      * @event WebhookForwarder#dropped
+      * @param {string} url - The URL.
+      * @param {Error} error - The reason.
+      * @param {object} delivery - The request.
+      */
+    this.emit('dropped', delivery.url, error, delivery)
+  }
+
+  // Save the queue to disk, atomically.
+  // Saves requested while a save is pending, are handled by that save.
+  #save () {
+    if (this.savePending) {
+      return
+    }
+    this.savePending = true
+    this.saving = this.saving.then(async () => {
+      this.savePending = false
+      try {
+        const text = this.queue.map((delivery) => {
+          return JSON.stringify(delivery) + '\n'
+        }).join('')
+        const filename = this._options.queueFile + '.tmp'
+        await writeFile(filename, text, { mode: 0o600 })
+        await rename(filename, this._options.queueFile)
+      } catch (error) {
+        this.emit('error', error)
+      }
+    }).catch(() => {}) // Keep saving, even when nobody handles the error.
+  }
+
+  #startWorker (url) {
+    if (this.workers[url] == null) {
+      this.workers[url] = this.#work(url).finally(() => {
+        delete this.workers[url]
+      })
+    }
+  }
+
+  // Send the queued requests for url, in order.
+  async #work (url) {
+    let delivery
+    while (
+      !this.closed &&
+      (delivery = this.queue.find((delivery) => delivery.url === url)) != null
+    ) {
+      this.sending.add(delivery)
+      const done = await this.#deliver(delivery)
+      this.sending.delete(delivery)
+      if (done) {
+        this.#remove(delivery)
+        this.#save()
+        continue
+      }
+      /** Emitted when a webhook URL is considered down, after the retries of
+        * a request have failed.
+        * @event WebhookForwarder#down
+        * @param {string} url - The URL.
+        * @param {integer} queued - The number of requests queued for the URL.
+        */
+      this.emit('down', url, this.queue.filter((delivery) => {
+        return delivery.url === url
+      }).length)
+      await this.#wait(this._options.downTime * 1000)
+    }
+  }
+
+  // Send a request, with retries.  Returns whether the request is done, i.e.
+  // it succeeded or it has been dropped.
+  async #deliver (delivery) {
+    const url = new URL(delivery.url)
+    let client = this.clients[url.origin]
+    if (client == null) {
+      client = new HttpClient({
+        host: url.host,
+        https: url.protocol === 'https:',
+        name: url.host,
+        timeout: this._options.timeout,
+        validStatusCodes: successCodes
+      })
+      client.on('error', () => {}) // handled by request()
+      this.clients[url.origin] = client
+    }
+    const resource = url.pathname + url.search
+    for (let retry = 0; retry <= this._options.retries; retry++) {
+      if (retry > 0) {
+        await this.#wait(this._options.retryTime * 1000 * 2 ** (retry - 1))
+        if (this.closed) {
+          return false
+        }
+      }
+      try {
+        const response = await client.request(
+          delivery.method, resource, delivery.body, delivery.headers
+        )
+        if (!successCodes.includes(response.statusCode)) {
+          // HttpClient accepts any status for a response with a body.
+          throw new HttpClient.HttpError(
+            `http status ${response.statusCode} ${response.statusMessage}`,
+            response.request, response.statusCode, response.statusMessage
+          )
+        }
+        /** Emitted when a request has been sent.
+          * @event WebhookForwarder#delivered
+          * @param {string} url - The URL.
+          * @param {integer} statusCode - The HTTP status code.
+          * @param {object} delivery - The request.
+          */
+        this.emit('delivered', delivery.url, response.statusCode, delivery)
+        return true
+      } catch (error) {
+        /** Emitted when a request has failed.
+          * @event WebhookForwarder#failed
+          * @param {string} url - The URL.
+          * @param {Error} error - The error.
+          * @param {integer} retry - The number of retries so far.
+          */
+        this.emit('failed', delivery.url, error, retry)
+        if (isPermanent(error)) {
+          this.#drop(delivery, error)
+          return true
+        }
+      }
+    }
+    return false
+  }
+}
+
+export { WebhookForwarder }
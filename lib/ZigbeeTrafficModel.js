@@ -0,0 +1,282 @@
+// hb-hue-tools/lib/ZigbeeTrafficModel.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+
+import { OptionParser } from 'hb-lib-tools/OptionParser'
+
+import { RequestScheduler } from './RequestScheduler.js'
+
+// Body keys, per API v1 and API v2, that result in the same Zigbee message.
+// Transition times (v1 `transitiontime`, v2 `dynamics.duration`) are
+// parameters of these messages, rather than messages of their own, see
+// transitionTime().
+const messageKeys = {
+  on: ['on'],
+  brightness: ['bri', 'bri_inc', 'dimming', 'dimming_delta'],
+  colour: [
+    'xy', 'xy_inc', 'ct', 'ct_inc', 'hue', 'hue_inc', 'sat', 'sat_inc', 'effect',
+    'color', 'color_temperature', 'color_temperature_delta', 'gradient',
+    'effects', 'effects_v2', 'timed_effects'
+  ],
+  alert: ['alert', 'signaling', 'identify']
+}
+
+/** Model of the Zigbee traffic caused by PUT requests to the Hue bridge.
+  *
+  * The Hue bridge can send about 20 unicast messages per second, or one
+  * broadcast message per second, to the Zigbee network.
+  * When PUT requests come in faster, the bridge drops them.
+  *
+  * The model estimates the number of Zigbee messages for a PUT request, from
+  * its API v1 or API v2 body, and whether these are unicast messages, for a
+  * single light, or broadcast messages, for a group or a scene recall.
+  * It queues the requests, so each is sent only when the Zigbee traffic of
+  * the previous request has cleared.
+  *
+  * A transition is handled by the light(s), without further messages from
+  * the Hue bridge.
+  * The model assumes that the light(s) report their new state once the
+  * transition has finished, costing another message at that time.
+  * Requests from a higher {@link RequestScheduler.priorities priority} lane
+  * are sent before requests from lower lanes.
+  * The {@link ZigbeeTrafficModel#pending pending} and
+  * {@link ZigbeeTrafficModel#estimatedDelay estimatedDelay} properties expose
+  * the back-pressure.
+  */
+class ZigbeeTrafficModel {
+  /** Estimate the Zigbee messages resulting from a PUT request.
+    * @param {string} resource - The resource, e.g. `/lights/1/state`
+    * or `/light/`_id_.
+    * @param {?object} body - The body of the PUT request.
+    * @returns {object} The estimate, with keys `count` for the number of
+    * messages, and `broadcast`, for broadcast messages.
+    */
+  static messages (resource, body) {
+    const keys = Object.keys(body ?? {})
+    let count = 0
+    for (const group in messageKeys) {
+      if (messageKeys[group].some((key) => keys.includes(key))) {
+        count++
+      }
+    }
+    if (body?.dynamics?.speed != null) {
+      count++
+    }
+    const type = resource.split('/')[1]
+    const broadcast =
+      (type === 'groups' && resource.endsWith('/action')) ||
+      type === 'grouped_light' ||
+      ((type === 'scene' || type === 'smart_scene') && body?.recall != null)
+    return { count: Math.max(count, 1), broadcast }
+  }
+
+  /** Return the transition time of a PUT request.
+    * @param {?object} body - The body of the PUT request.
+    * @returns {integer} The transition time (in milliseconds), from API v1
+    * `transitiontime` (in deciseconds), or API v2 `dynamics.duration`,
+    * or `0` for a request without transition time.
+    */
+  static transitionTime (body) {
+    if (body?.transitiontime != null) {
+      return body.transitiontime * 100
+    }
+    return body?.dynamics?.duration ?? 0
+  }
+
+  /** Create a new Zigbee traffic model.
+    * @param {object} params - Parameters.
+    * @param {integer} [params.unicastTime=50] - The time (in milliseconds)
+    * the Zigbee network is busy per unicast message.
+    * @param {integer} [params.broadcastTime=1000] - The time (in
+    * milliseconds) the Zigbee network is busy per broadcast message.
+    */
+  constructor (params = {}) {
+    this._options = {
+      broadcastTime: 1000,
+      unicastTime: 50
+    }
+    const optionParser = new OptionParser(this._options)
+    optionParser
+      .intKey('broadcastTime', 0, 10000)
+      .intKey('unicastTime', 0, 1000)
+      .parse(params)
+    this.queue = []
+    this.busyUntil = 0
+    this.reports = []
+  }
+
+  /** The number of PUT requests waiting to be sent.
+    * @type {integer}
+    * @readonly
+    */
+  get pending () { return this.queue.length }
+
+  /** The number of PUT requests waiting to be sent, per lane.
+    * @type {object}
+    * @readonly
+    */
+  get queued () {
+    const queued = {}
+    for (const priority of RequestScheduler.priorities) {
+      queued[priority] = this.queue.filter((entry) => {
+        return entry.priority === priority
+      }).length
+    }
+    return queued
+  }
+
+  /** The estimated time (in milliseconds) before a new PUT request would be
+    * sent.
+    * @type {integer}
+    * @readonly
+    */
+  get estimatedDelay () {
+    const now = Date.now()
+    let delay = Math.max(this.busyUntil - now, 0)
+    for (const entry of this.queue) {
+      delay += this.time(entry.resource, entry.body)
+    }
+    for (const report of this.reports) {
+      if (report.due < now + delay) {
+        delay += report.time
+      }
+    }
+    return delay
+  }
+
+  /** Return the time (in milliseconds) the Zigbee network will be busy
+    * handling a PUT request.
+    * @param {string} resource - The resource.
+    * @param {?object} body - The body of the PUT request.
+    * @returns {integer} The time.
+    */
+  time (resource, body) {
+    const { count, broadcast } = ZigbeeTrafficModel.messages(resource, body)
+    return count * (
+      broadcast ? this._options.broadcastTime : this._options.unicastTime
+    )
+  }
+
+  /** Wait until a PUT request can be sent.
+    *
+    * The body might still change while waiting, see
+    * {@link HueClient#put HueClient.put()}, so the Zigbee traffic is
+    * estimated when the request is due to be sent.
+    *
+    * When the signal is aborted while waiting, the request is removed from
+    * the queue, and doesn't count towards the Zigbee traffic.
+    * @param {string} resource - The resource.
+    * @param {?object} body - The body of the PUT request.
+    * @param {AbortSignal} [signal] - Signal to abort waiting.
+    * @param {string} [priority='normal'] - The lane of the request.
+    * @throws {*} The `reason` of the signal, when aborted.
+    */
+  async schedule (resource, body, signal, priority = 'normal') {
+    signal?.throwIfAborted()
+    const rank = RequestScheduler.priorities.indexOf(priority)
+    if (rank < 0) {
+      throw new RangeError(`${priority}: invalid priority`)
+    }
+    this.#applyReports()
+    if (this.queue.length === 0 && this.busyUntil <= Date.now()) {
+      this.#send(resource, body)
+      return
+    }
+    return new Promise((resolve, reject) => {
+      const entry = { resource, body, priority, rank, resolve }
+      if (signal != null) {
+        entry.onAbort = () => {
+          this.queue.splice(this.queue.indexOf(entry), 1)
+          if (this.queue.length === 0) {
+            clearTimeout(this.timer)
+            delete this.timer
+          }
+          reject(signal.reason)
+        }
+        signal.addEventListener('abort', entry.onAbort, { once: true })
+        entry.signal = signal
+      }
+      const index = this.queue.findIndex((e) => e.rank > rank)
+      this.queue.splice(index < 0 ? this.queue.length : index, 0, entry)
+      this.#setTimer()
+    })
+  }
+
+  /** Raise the priority of a PUT request waiting to be sent.
+    *
+    * The request is moved ahead of the requests from lower lanes.
+    * Nothing happens when the request isn't waiting, or when it already has
+    * the same or a higher priority.
+    * @param {AbortSignal} signal - The signal passed to
+    * {@link ZigbeeTrafficModel#schedule schedule()} for the request.
+    * @param {string} priority - The new lane of the request.
+    */
+  raisePriority (signal, priority) {
+    const rank = RequestScheduler.priorities.indexOf(priority)
+    if (rank < 0) {
+      throw new RangeError(`${priority}: invalid priority`)
+    }
+    const entry = this.queue.find((e) => e.signal === signal)
+    if (entry == null || entry.rank <= rank) {
+      return
+    }
+    this.queue.splice(this.queue.indexOf(entry), 1)
+    entry.priority = priority
+    entry.rank = rank
+    const index = this.queue.findIndex((e) => e.rank > rank)
+    this.queue.splice(index < 0 ? this.queue.length : index, 0, entry)
+  }
+
+  #setTimer () {
+    if (this.timer != null) {
+      return
+    }
+    this.timer = setTimeout(() => {
+      delete this.timer
+      this.#applyReports()
+      if (this.busyUntil > Date.now()) {
+        // A transition report fell due while waiting.
+        this.#setTimer()
+        return
+      }
+      const entry = this.queue.shift()
+      if (entry == null) {
+        return
+      }
+      entry.signal?.removeEventListener('abort', entry.onAbort)
+      this.#send(entry.resource, entry.body)
+      entry.resolve()
+      if (this.queue.length > 0) {
+        this.#setTimer()
+      }
+    }, Math.max(this.busyUntil - Date.now(), 0))
+  }
+
+  // Account for the Zigbee traffic of a PUT request that is sent now,
+  // including the report at the end of its transition.
+  #send (resource, body) {
+    const now = Date.now()
+    this.busyUntil = now + this.time(resource, body)
+    const transitionTime = ZigbeeTrafficModel.transitionTime(body)
+    if (transitionTime > 0) {
+      const { broadcast } = ZigbeeTrafficModel.messages(resource, body)
+      this.reports.push({
+        due: now + transitionTime,
+        time: broadcast ? this._options.broadcastTime : this._options.unicastTime
+      })
+      this.reports.sort((a, b) => a.due - b.due)
+    }
+  }
+
+  // Account for the Zigbee traffic of the transition reports that are due.
+  #applyReports () {
+    const now = Date.now()
+    while (this.reports.length > 0 && this.reports[0].due <= now) {
+      const report = this.reports.shift()
+      this.busyUntil = Math.max(this.busyUntil, report.due) + report.time
+    }
+  }
+}
+
+export { ZigbeeTrafficModel }
@@ -0,0 +1,96 @@
+// hb-hue-tools/test/BridgeState.test.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Check the bridge state against the mock Hue bridge.
+
+import { strict as assert } from 'node:assert'
+import { once } from 'node:events'
+import { after, before, describe, it } from 'node:test'
+
+import { BridgeState } from 'hb-hue-tools/BridgeState'
+import { HueClient } from 'hb-hue-tools/HueClient'
+import { MockHueBridge } from 'hb-hue-tools/MockHueBridge'
+
+const apiKey = 'test'
+const lightId = '00000000-0000-4000-8000-000000000004'
+
+describe('BridgeState', () => {
+  const bridge = new MockHueBridge({ apiKey })
+  let state
+
+  before(async () => {
+    await bridge.listen()
+    const client = new HueClient({
+      apiKey,
+      config: bridge.config,
+      forceHttp: true,
+      host: bridge.host,
+      waitTimePut: 0
+    })
+    state = new BridgeState(client, { retryTime: 1 })
+    await state.init()
+  })
+  after(async () => {
+    await state.close()
+    await bridge.close()
+  })
+
+  it('loads the resources', () => {
+    assert.equal(state.get('light', lightId).type, 'light')
+  })
+
+  it('applies notifications', async () => {
+    const changed = once(state, 'resourceChanged')
+    bridge.update('light', lightId, { on: { on: true } })
+    const [type, id, diff] = await changed
+    assert.equal(type, 'light')
+    assert.equal(id, lightId)
+    assert.deepEqual(diff, { on: { on: true } })
+    assert.equal(state.get('light', lightId).data.on.on, true)
+  })
+
+  it('cancels an earlier reload', async () => {
+    let n = 0
+    state.on('loaded', () => { n++ })
+    const loaded = once(state, 'loaded')
+    state.eventStream.emit('listening')
+    const first = state.loading
+    state.eventStream.emit('listening')
+    assert.ok(first.controller.signal.aborted)
+    assert.notEqual(state.loading, first)
+    const [initial] = await loaded
+    assert.equal(initial, false)
+    assert.equal(state.loading, undefined)
+
+    // The state is still updated by notifications.
+    const changed = once(state, 'resourceChanged')
+    bridge.update('light', lightId, { on: { on: false } })
+    await changed
+    assert.equal(state.get('light', lightId).data.on.on, false)
+    assert.equal(n, 1)
+  })
+
+  it('removes attributes missing on reload', async () => {
+    // Change the mock state without notification.
+    const light = bridge.state.resource.find((resource) => resource.id === lightId)
+    delete light.color_temperature
+    delete light.color.xy.y
+    light.dimming.brightness = 50
+    const changed = once(state, 'resourceChanged')
+    state.eventStream.emit('listening')
+    const [type, id, diff] = await changed
+    assert.equal(type, 'light')
+    assert.equal(id, lightId)
+    assert.deepEqual(diff, {
+      color: { xy: { y: null } },
+      color_temperature: null,
+      dimming: { brightness: 50 }
+    })
+    const data = state.get('light', lightId).data
+    assert.equal(data.color_temperature, undefined)
+    assert.deepEqual(data.color, { xy: { x: 0.4573 } })
+    assert.equal(data.dimming.brightness, 50)
+  })
+})
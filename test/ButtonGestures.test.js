@@ -0,0 +1,141 @@
+// hb-hue-tools/test/ButtonGestures.test.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Check the recognition of button gestures from API v1 and API v2 style
+// events, using mock timers.
+
+import { strict as assert } from 'node:assert'
+import { afterEach, beforeEach, describe, it, mock } from 'node:test'
+
+import { ButtonGestures } from 'hb-hue-tools/ButtonGestures'
+import { EventStreamClient } from 'hb-hue-tools/EventStreamClient'
+
+const buttonId = '00000000-0000-4000-8000-000000000020'
+const rotaryId = '00000000-0000-4000-8000-000000000021'
+
+// Issue a notification container with a single object.
+function notify (eventStream, type, data) {
+  eventStream._parseContainer([{
+    creationtime: new Date().toISOString(),
+    data: [data],
+    id: '00000000-0000-4000-8000-000000000000',
+    type
+  }])
+}
+
+// Issue a button_report for the button.
+function report (eventStream, event) {
+  notify(eventStream, 'update', {
+    button: {
+      button_report: { event, updated: new Date().toISOString() }
+    },
+    id: buttonId,
+    id_v1: '/sensors/5',
+    owner: { rid: '00000000-0000-4000-8000-000000000010', rtype: 'device' },
+    type: 'button'
+  })
+}
+
+for (const version of [1, 2]) {
+  const resource = version === 1 ? '/sensors/5' : '/button/' + buttonId
+
+  describe(`ButtonGestures for API v${version}`, () => {
+    let eventStream
+    let gestures
+    let events
+
+    beforeEach(() => {
+      mock.timers.enable({ apis: ['setTimeout', 'Date'] })
+      eventStream = new EventStreamClient(null, { version })
+      if (version === 1) {
+        eventStream.buttonMap = {}
+      }
+      gestures = new ButtonGestures(eventStream)
+      events = []
+      for (const event of ['singlePress', 'doublePress', 'triplePress', 'longPress', 'rotate']) {
+        gestures.on(event, (...args) => { events.push([event, ...args]) })
+      }
+      // Announce the button, as second button of the switch.
+      notify(eventStream, 'add', {
+        id: buttonId,
+        id_v1: '/sensors/5',
+        metadata: { control_id: 2 },
+        owner: { rid: '00000000-0000-4000-8000-000000000010', rtype: 'device' },
+        type: 'button'
+      })
+    })
+    afterEach(() => {
+      gestures.destroy()
+      mock.timers.reset()
+    })
+
+    // Press and release the button, count times.
+    function press (count = 1) {
+      for (let i = 0; i < count; i++) {
+        report(eventStream, 'initial_press')
+        mock.timers.tick(100)
+        report(eventStream, 'short_release')
+        mock.timers.tick(200)
+      }
+    }
+
+    it('recognises a single press', () => {
+      press()
+      assert.deepEqual(events, [])
+      mock.timers.tick(500)
+      assert.deepEqual(events, [['singlePress', resource, 2]])
+    })
+
+    it('recognises a double press', () => {
+      press(2)
+      mock.timers.tick(500)
+      assert.deepEqual(events, [['doublePress', resource, 2]])
+    })
+
+    it('recognises a triple press', () => {
+      press(3)
+      mock.timers.tick(500)
+      assert.deepEqual(events, [['triplePress', resource, 2, 3]])
+    })
+
+    it('recognises a long press, with its duration', () => {
+      report(eventStream, 'initial_press')
+      for (let i = 0; i < 3; i++) {
+        mock.timers.tick(400)
+        report(eventStream, 'repeat')
+      }
+      mock.timers.tick(200)
+      report(eventStream, 'long_release')
+      assert.deepEqual(events, [['longPress', resource, 2, 1400]])
+      mock.timers.tick(500)
+      assert.equal(events.length, 1)
+    })
+
+    it('recognises a long press from a late short release', () => {
+      report(eventStream, 'initial_press')
+      mock.timers.tick(900)
+      report(eventStream, 'short_release')
+      assert.deepEqual(events, [['longPress', resource, 2, 900]])
+    })
+
+    it('recognises rotation', () => {
+      notify(eventStream, 'update', {
+        id: rotaryId,
+        id_v1: '/sensors/5',
+        relative_rotary: {
+          rotary_report: {
+            action: 'start',
+            rotation: { direction: 'counter_clock_wise', steps: 30, duration: 400 },
+            updated: new Date().toISOString()
+          }
+        },
+        type: 'relative_rotary'
+      })
+      assert.deepEqual(events, [[
+        'rotate', version === 1 ? '/sensors/5' : '/relative_rotary/' + rotaryId, -30
+      ]])
+    })
+  })
+}
@@ -0,0 +1,181 @@
+// hb-hue-tools/test/EventStreamClient.test.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Check the translation of API v2 notifications to API v1 changed events,
+// against the fixtures in fixtures/update1.json, the add and delete
+// notifications, and the subscription queue.
+
+import { strict as assert } from 'node:assert'
+import { readFileSync } from 'node:fs'
+import { describe, it } from 'node:test'
+
+import { EventStreamClient } from 'hb-hue-tools/EventStreamClient'
+
+const fixtures = JSON.parse(readFileSync(
+  new URL('fixtures/update1.json', import.meta.url), 'utf8'
+))
+
+// Return the events emitted for an update notification with data.
+function parse (data) {
+  const eventStream = new EventStreamClient(null)
+  const events = { changed: [], notification: [] }
+  eventStream
+    .on('changed', (resource, attributes) => {
+      events.changed.push([resource, attributes])
+    })
+    .on('notification', (notification) => {
+      events.notification.push(notification)
+    })
+  eventStream._parseContainer([{
+    creationtime: '2026-01-01T12:34:56.000Z',
+    data,
+    id: '00000000-0000-4000-8000-000000000000',
+    type: 'update'
+  }])
+  return events
+}
+
+describe('EventStreamClient', () => {
+  describe('API v1 translation', () => {
+    for (const fixture of fixtures) {
+      it(`translates ${fixture.name}`, () => {
+        const events = parse(fixture.data)
+        assert.deepEqual(events.changed, fixture.changed)
+        assert.deepEqual(events.notification, [])
+      })
+    }
+
+    it('passes an untranslated update as notification', () => {
+      const events = parse([{
+        id: 'e1', id_v1: '/sensors/5', type: 'entertainment', segments: {}
+      }])
+      assert.deepEqual(events.changed, [])
+      assert.equal(events.notification.length, 1)
+    })
+  })
+
+  describe('add and delete notifications', () => {
+    // The add notification of a new light, as issued by the Hue bridge.
+    const id = '00000000-0000-4000-8000-0000000000'
+    const owner = { rid: id + '10', rtype: 'device' }
+    const data = [
+      {
+        id: id + '10',
+        id_v1: '/lights/5',
+        metadata: { archetype: 'sultan_bulb', name: 'Hue color lamp 5' },
+        product_data: { model_id: 'LCA001' },
+        services: [
+          { rid: id + '11', rtype: 'light' },
+          { rid: id + '12', rtype: 'zigbee_connectivity' },
+          { rid: id + '13', rtype: 'entertainment' }
+        ],
+        type: 'device'
+      },
+      {
+        id: id + '11',
+        id_v1: '/lights/5',
+        on: { on: false },
+        dimming: { brightness: 100 },
+        owner,
+        type: 'light'
+      },
+      {
+        id: id + '12',
+        id_v1: '/lights/5',
+        mac_address: '00:17:88:01:00:00:00:05',
+        owner,
+        status: 'connected',
+        type: 'zigbee_connectivity'
+      },
+      {
+        id: id + '13',
+        id_v1: '/lights/5',
+        owner,
+        renderer: true,
+        type: 'entertainment'
+      }
+    ]
+
+    // Return the added and deleted events for an add and a delete
+    // notification with data.
+    function parseAddDelete (version) {
+      const eventStream = new EventStreamClient(null, { version })
+      const events = []
+      eventStream
+        .on('added', (resource, data) => {
+          events.push(['added', resource, data.type])
+        })
+        .on('deleted', (resource) => { events.push(['deleted', resource]) })
+        .on('notification', () => { events.push(['notification']) })
+      for (const type of ['add', 'delete']) {
+        eventStream._parseContainer([{
+          creationtime: '2026-01-01T12:34:56.000Z',
+          data: type === 'add'
+            ? data
+            : data.map(({ id, id_v1: idV1, type }) => ({ id, id_v1: idV1, type })),
+          id: '00000000-0000-4000-8000-000000000000',
+          type
+        }])
+      }
+      return events
+    }
+
+    it('issues one event per API v1 resource', () => {
+      assert.deepEqual(parseAddDelete(1), [
+        ['added', '/lights/5', 'device'],
+        ['deleted', '/lights/5']
+      ])
+    })
+
+    it('issues one event per API v2 resource', () => {
+      assert.deepEqual(parseAddDelete(2), [
+        ['added', '/device/' + id + '10', 'device'],
+        ['added', '/light/' + id + '11', 'light'],
+        ['added', '/zigbee_connectivity/' + id + '12', 'zigbee_connectivity'],
+        ['added', '/entertainment/' + id + '13', 'entertainment'],
+        ['deleted', '/device/' + id + '10'],
+        ['deleted', '/light/' + id + '11'],
+        ['deleted', '/zigbee_connectivity/' + id + '12'],
+        ['deleted', '/entertainment/' + id + '13']
+      ])
+    })
+  })
+
+  describe('subscribe()', () => {
+    it('pauses intake at the high water mark', async () => {
+      const eventStream = new EventStreamClient(null)
+      const subscription = eventStream.subscribe({ highWaterMark: 2 })
+      const events = []
+      eventStream
+        .on('paused', (s) => {
+          assert.equal(s, subscription)
+          events.push('paused')
+        })
+        .on('resumed', () => { events.push('resumed') })
+      for (let i = 1; i <= 3; i++) {
+        eventStream.emit('changed', '/lights/' + i, { on: true })
+      }
+      assert.deepEqual(events, ['paused'])
+      assert.ok(eventStream.intake instanceof Promise)
+
+      // Intake resumes once half of the queue has been consumed, without
+      // losing any changes.
+      assert.equal((await subscription.next()).value.id, '1')
+      assert.deepEqual(events, ['paused'])
+      assert.equal((await subscription.next()).value.id, '2')
+      assert.deepEqual(events, ['paused', 'resumed'])
+      assert.equal(eventStream.intake, undefined)
+      assert.equal((await subscription.next()).value.id, '3')
+
+      // Unsubscribing resumes intake.
+      for (let i = 4; i <= 5; i++) {
+        eventStream.emit('changed', '/lights/' + i, { on: true })
+      }
+      assert.deepEqual(events, ['paused', 'resumed', 'paused'])
+      await subscription.return()
+      assert.deepEqual(events, ['paused', 'resumed', 'paused', 'resumed'])
+    })
+  })
+})
@@ -0,0 +1,147 @@
+// hb-hue-tools/test/EventStreamServer.test.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Check the re-broadcast of the event stream of the mock Hue bridge, over
+// SSE and web socket, in each style.
+
+import { strict as assert } from 'node:assert'
+import { once } from 'node:events'
+import http from 'node:http'
+import { after, before, describe, it } from 'node:test'
+
+import { WebSocket } from 'ws'
+
+import { EventStreamClient } from 'hb-hue-tools/EventStreamClient'
+import { EventStreamServer } from 'hb-hue-tools/EventStreamServer'
+import { HueClient } from 'hb-hue-tools/HueClient'
+import { MockHueBridge } from 'hb-hue-tools/MockHueBridge'
+
+const apiKey = 'test'
+const lightId = '00000000-0000-4000-8000-000000000004'
+
+// Connect an SSE client to url.
+// Returns a function that resolves to the next message for which check
+// returns true, and a function to disconnect.
+async function connect (url) {
+  const response = await new Promise((resolve, reject) => {
+    http.get(url, resolve).on('error', reject)
+  })
+  assert.equal(response.statusCode, 200)
+  const messages = []
+  let waiting
+  let text = ''
+  response.setEncoding('utf8').on('data', (chunk) => {
+    text += chunk
+    const blocks = text.split('\n\n')
+    text = blocks.pop()
+    messages.push(...blocks)
+    waiting?.()
+  })
+  return {
+    next: async (check) => {
+      while (true) {
+        const message = messages.shift()
+        if (message == null) {
+          await new Promise((resolve) => { waiting = resolve })
+        } else if (check(message)) {
+          return message
+        }
+      }
+    },
+    close: () => { response.destroy() }
+  }
+}
+
+describe('EventStreamServer', () => {
+  const bridge = new MockHueBridge({ apiKey })
+  let server
+
+  before(async () => {
+    await bridge.listen()
+    const client = new HueClient({
+      apiKey,
+      config: bridge.config,
+      forceHttp: true,
+      host: bridge.host
+    })
+    server = new EventStreamServer(client, { keepAliveTime: 1 })
+    server.on('error', () => {})
+    const listening = once(server.eventStream, 'listening')
+    await server.listen()
+    await listening
+  })
+  after(async () => {
+    await server.close()
+    await bridge.close()
+  })
+
+  it('sends raw notifications over SSE', async () => {
+    const sse = await connect(server.url + '?filter=/light/**')
+    bridge.update('light', lightId, { on: { on: true } })
+    const message = await sse.next((message) => message.startsWith('data: '))
+    const container = JSON.parse(message.slice(6))
+    assert.equal(container[0].type, 'update')
+    assert.deepEqual(container[0].data.map((data) => data.id), [lightId])
+    sse.close()
+  })
+
+  it('sends API v1 style events over SSE', async () => {
+    const sse = await connect(server.url + '?style=v1')
+    bridge.update('light', lightId, { on: { on: false } })
+    const message = await sse.next((message) => message.startsWith('event: '))
+    const [event, data] = message.split('\n')
+    assert.equal(event, 'event: changed')
+    const { resource, attributes } = JSON.parse(data.slice(6))
+    assert.equal(resource, '/lights/1/state')
+    assert.equal(attributes.on, false)
+    sse.close()
+  })
+
+  it('sends API v2 style events over web socket', async () => {
+    const ws = new WebSocket(
+      server.url.replace(/^http/, 'ws') + '?style=v2&filter=/light/*'
+    )
+    await once(ws, 'open')
+    const received = once(ws, 'message')
+    bridge.update('light', lightId, { on: { on: true } })
+    const [message] = await received
+    assert.deepEqual(JSON.parse(message), {
+      event: 'changed', resource: '/light/' + lightId, attributes: { on: { on: true } }
+    })
+    ws.terminate()
+  })
+
+  it('sends keep-alive comments', async () => {
+    const sse = await connect(server.url)
+    await sse.next((message) => message === ': keep-alive')
+    sse.close()
+  })
+
+  it('rejects an invalid style', async () => {
+    const response = await new Promise((resolve, reject) => {
+      http.get(server.url + '?style=v3', resolve).on('error', reject)
+    })
+    response.resume()
+    assert.equal(response.statusCode, 400)
+  })
+
+  it('serves an EventStreamClient in raw style', async () => {
+    const client = new HueClient({
+      apiKey,
+      config: bridge.config,
+      forceHttp: true,
+      host: new URL(server.url).host
+    })
+    const eventStream = new EventStreamClient(client, { version: 2 })
+    eventStream.listen()
+    await once(eventStream, 'listening')
+    const changed = once(eventStream, 'changed')
+    bridge.update('light', lightId, { on: { on: false } })
+    const [resource, attributes] = await changed
+    assert.equal(resource, '/light/' + lightId)
+    assert.deepEqual(attributes, { on: { on: false } })
+    await eventStream.close()
+  })
+})
@@ -0,0 +1,136 @@
+// hb-hue-tools/test/HueClient.test.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Check that concurrent API v1 and API v2 requests use the right base path,
+// and the merging of PUT requests.
+
+import { strict as assert } from 'node:assert'
+import { after, before, describe, it } from 'node:test'
+
+import { HueClient } from 'hb-hue-tools/HueClient'
+import { MockHueBridge } from 'hb-hue-tools/MockHueBridge'
+
+const apiKey = 'test'
+const lightId = '00000000-0000-4000-8000-000000000004'
+
+describe('HueClient', () => {
+  const bridge = new MockHueBridge({ apiKey, applicationId: 'app' })
+  let client
+
+  before(async () => {
+    await bridge.listen()
+    client = new HueClient({
+      apiKey,
+      config: bridge.config,
+      forceHttp: true,
+      host: bridge.host,
+      waitTimePut: 0,
+      waitTimePutGroup: 0
+    })
+  })
+  after(async () => { await bridge.close() })
+
+  it('sends interleaved API v1 and API v2 requests to the right path', async () => {
+    // Each call, with the request expected at the bridge, and a check that
+    // the response is the response to that request.
+    const calls = [
+      {
+        call: () => client.get('/lights/1'),
+        request: 'GET /api/test/lights/1',
+        check: (response) => {
+          assert.equal(response.name, 'Hue color lamp 1')
+          assert.equal(typeof response.state, 'object')
+        }
+      },
+      {
+        call: () => client.get('/light/' + lightId),
+        request: 'GET /clip/v2/resource/light/' + lightId,
+        check: (response) => {
+          assert.equal(response.type, 'light')
+          assert.equal(response.id, lightId)
+        }
+      },
+      {
+        call: () => client.get('/config'),
+        request: 'GET /api/test/config',
+        check: (response) => { assert.equal(response.bridgeid, '001788FFFE000000') }
+      },
+      {
+        call: () => client.get('/room'),
+        request: 'GET /clip/v2/resource/room',
+        check: (response) => { assert.equal(response[0].type, 'room') }
+      },
+      {
+        call: () => client.getApplicationId(),
+        request: 'GET /auth/v1',
+        check: (response) => { assert.equal(response, 'app') }
+      },
+      {
+        call: (i) => client.put('/lights/1/state', { bri: i % 254 + 1 }),
+        request: 'PUT /api/test/lights/1/state',
+        check: (response) => {
+          assert.ok(response.request.url.endsWith('/api/test/lights/1/state'))
+          assert.ok(response.body[0].success['/lights/1/state/bri'] > 0)
+        }
+      },
+      {
+        call: (i) => client.put('/light/' + lightId, { on: { on: i % 2 === 0 } }),
+        request: 'PUT /clip/v2/resource/light/' + lightId,
+        check: (response) => {
+          assert.ok(response.request.url.endsWith('/clip/v2/resource/light/' + lightId))
+          assert.deepEqual(response.body.data, [{ rid: lightId, rtype: 'light' }])
+        }
+      }
+    ]
+    const expected = new Set(calls.map((call) => call.request))
+    const received = []
+    const onRequest = (method, path) => { received.push(method + ' ' + path) }
+    bridge.on('request', onRequest)
+    const promises = []
+    let checked = 0
+    for (let i = 0; i < 500; i++) {
+      const call = calls[i % calls.length]
+      promises.push(call.call(i).then((response) => {
+        try {
+          call.check(response)
+        } catch (error) {
+          error.message = `call ${i}: ${call.request}: ${error.message}`
+          throw error
+        }
+        checked++
+      }))
+    }
+    await Promise.all(promises)
+    assert.equal(checked, 500)
+    bridge.off('request', onRequest)
+    for (const request of received) {
+      assert.ok(expected.has(request), `unexpected request: ${request}`)
+    }
+    for (const request of expected) {
+      assert.ok(received.includes(request), `missing request: ${request}`)
+    }
+  })
+
+  it('raises the priority of a merged PUT request', async () => {
+    const resource = '/lights/1/state'
+    client.trafficModel.busyUntil = Date.now() + 100 // delay the request
+    const promises = [
+      client.put(resource, { bri: 1 }, { priority: 'background', timeout: 10 }),
+      client.put(resource, { on: true }, { priority: 'interactive', timeout: 5 }),
+      client.put(resource, { bri: 2 }, { priority: 'normal' })
+    ]
+    assert.deepEqual(client.trafficModel.queued, {
+      interactive: 1, normal: 0, background: 0
+    })
+    assert.equal(client.pendingPuts[resource].priority, 'interactive')
+    assert.equal(client.pendingPuts[resource].timeout, 5)
+    const bodies = []
+    const onRequest = (method, path, body) => { bodies.push(JSON.parse(body)) }
+    bridge.on('request', onRequest)
+    await Promise.all(promises)
+    bridge.off('request', onRequest)
+    assert.deepEqual(bodies, [{ bri: 2, on: true }])
+  })
+})
@@ -0,0 +1,49 @@
+// hb-hue-tools/test/HueDiscovery.test.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Check discovery of the mock Hue bridge by a subnet scan.
+
+import { strict as assert } from 'node:assert'
+import { after, before, describe, it } from 'node:test'
+
+import { HueDiscovery } from 'hb-hue-tools/HueDiscovery'
+import { MockHueBridge } from 'hb-hue-tools/MockHueBridge'
+
+describe('HueDiscovery', () => {
+  // The subnet scan only probes port 80.
+  const bridge = new MockHueBridge({ apiKey: 'test' })
+  const bridgeid = MockHueBridge.defaultState.config.bridgeid
+  let discovery
+  let listening = false
+
+  before(async () => {
+    try {
+      await bridge.listen(80, '127.0.0.1')
+      listening = true
+    } catch (error) {} // e.g. EACCES when not running as root
+    discovery = new HueDiscovery({ forceHttp: true, timeout: 1 })
+  })
+  after(async () => {
+    if (listening) {
+      await bridge.close()
+    }
+  })
+
+  it('keeps the results of concurrent calls apart', async (t) => {
+    if (!listening) {
+      t.skip('cannot listen on port 80')
+      return
+    }
+    const [bridges, host] = await Promise.all([
+      discovery.discover({ stealth: true, subnets: ['127.0.0.1/32'] }),
+      discovery.find('0017880000000000', { stealth: true })
+    ])
+    assert.deepEqual(Object.keys(bridges), [bridgeid])
+    assert.equal(bridges[bridgeid].addresses[0].host, '127.0.0.1')
+    assert.deepEqual(bridges[bridgeid].methods, ['scan'])
+    assert.equal(host, null)
+    assert.equal(discovery.searches.size, 0)
+  })
+})
@@ -0,0 +1,110 @@
+// hb-hue-tools/test/HueResource.test.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Check the typed API v2 resources against the mock Hue bridge.
+
+import { strict as assert } from 'node:assert'
+import { after, before, describe, it } from 'node:test'
+
+import { HueClient } from 'hb-hue-tools/HueClient'
+import { HueResource } from 'hb-hue-tools/HueResource'
+import { MockHueBridge } from 'hb-hue-tools/MockHueBridge'
+
+const apiKey = 'test'
+const lightId = '00000000-0000-4000-8000-000000000004'
+
+describe('HueResource', () => {
+  const bridge = new MockHueBridge({ apiKey })
+  let client
+  let resources
+  let bodies
+
+  before(async () => {
+    await bridge.listen()
+    bridge.on('request', (method, path, body) => {
+      if (method === 'PUT') {
+        bodies.push(JSON.parse(body))
+      }
+    })
+    bridge.add({
+      id: '00000000-0000-4000-8000-000000000030',
+      type: 'scene',
+      metadata: { name: 'Relax' },
+      group: { rid: '00000000-0000-4000-8000-000000000005', rtype: 'room' },
+      actions: [{
+        target: { rid: lightId, rtype: 'light' },
+        action: { on: { on: true }, dimming: { brightness: 50 } }
+      }],
+      status: { active: 'inactive' }
+    })
+    client = new HueClient({
+      apiKey,
+      config: bridge.config,
+      forceHttp: true,
+      host: bridge.host,
+      waitTimePut: 0
+    })
+    resources = await HueResource.getAll(client)
+  })
+  after(async () => { await bridge.close() })
+
+  it('links the owner, children, and services', () => {
+    const light = resources[lightId]
+    assert.ok(light instanceof HueResource.Light)
+    const device = light.owner
+    assert.ok(device instanceof HueResource.Device)
+    assert.equal(light.name, 'Hue color lamp 1')
+    assert.deepEqual(
+      device.services.map((service) => service.type),
+      ['light', 'zigbee_connectivity']
+    )
+    assert.equal(device.servicesOfType('light')[0], light)
+    const room = resources['00000000-0000-4000-8000-000000000005']
+    assert.ok(room instanceof HueResource.Room)
+    assert.deepEqual(room.children, [device])
+    assert.ok(room.services[0] instanceof HueResource.GroupedLight)
+  })
+
+  it('ignores unknown references', () => {
+    const light = HueResource.create(client, {
+      id: lightId,
+      type: 'light',
+      owner: { rid: '00000000-0000-4000-8000-000000000099', rtype: 'device' }
+    }, resources)
+    assert.equal(light.owner, null)
+    assert.ok(HueResource.create(client, { id: 'x', type: 'foo' }) instanceof HueResource)
+  })
+
+  it('sets the brightness of a light', async () => {
+    const light = resources[lightId]
+    bodies = []
+    await light.setBrightness(50, 400)
+    assert.deepEqual(bodies, [{ dimming: { brightness: 50 }, dynamics: { duration: 400 } }])
+    assert.equal(light.data.dimming.brightness, 50)
+    assert.equal(light.data.dynamics, undefined)
+    await light.refresh()
+    assert.equal(light.data.dimming.brightness, 50)
+  })
+
+  it('recalls a scene', async () => {
+    const scene = resources['00000000-0000-4000-8000-000000000030']
+    assert.ok(scene instanceof HueResource.Scene)
+    assert.equal(scene.group.name, 'Living room')
+    assert.deepEqual(scene.lights, [resources[lightId]])
+    bodies = []
+    await scene.recall({ brightness: 80 })
+    assert.deepEqual(bodies, [{ recall: { action: 'active', dimming: { brightness: 80 } } }])
+    assert.deepEqual(scene.data.status, { active: 'static' })
+    assert.equal(scene.data.recall, undefined)
+  })
+
+  it('identifies a device', async () => {
+    const device = resources[lightId].owner
+    bodies = []
+    await device.identify()
+    assert.deepEqual(bodies, [{ identify: { action: 'identify' } }])
+    assert.equal(device.data.identify, undefined)
+  })
+})
@@ -0,0 +1,177 @@
+// hb-hue-tools/test/MockHueBridge.test.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Exercise the retry and reconnect logic against the mock Hue bridge.
+
+import { strict as assert } from 'node:assert'
+import { once } from 'node:events'
+import { after, before, describe, it } from 'node:test'
+
+import { EventStreamClient } from 'hb-hue-tools/EventStreamClient'
+import { HueClient } from 'hb-hue-tools/HueClient'
+import { MockHueBridge } from 'hb-hue-tools/MockHueBridge'
+
+const apiKey = 'test'
+
+function newClient (bridge, params = {}) {
+  return new HueClient(Object.assign({
+    apiKey,
+    config: bridge.config,
+    forceHttp: true,
+    host: bridge.host,
+    waitTimeResend: 10
+  }, params))
+}
+
+describe('MockHueBridge', () => {
+  const bridge = new MockHueBridge({ apiKey })
+  let requests
+
+  before(async () => {
+    await bridge.listen()
+    bridge.on('request', (method, path) => { requests.push(method + ' ' + path) })
+  })
+  after(async () => { await bridge.close() })
+
+  describe('HueClient retries', () => {
+    const paths = {
+      v1: '/lights/1/state/on',
+      v2: '/light/00000000-0000-4000-8000-000000000004'
+    }
+    for (const api in paths) {
+      it(`resends an API ${api} request on HTTP status 503`, async () => {
+        const client = newClient(bridge)
+        bridge.injectError({ statusCode: 503, count: 2 })
+        requests = []
+        await client.get(paths[api])
+        assert.equal(requests.length, 3)
+      })
+
+      it(`resends an API ${api} request on ECONNRESET`, async () => {
+        const client = newClient(bridge)
+        bridge.injectError({ code: 'ECONNRESET' })
+        requests = []
+        await client.get(paths[api])
+        assert.equal(requests.length, 2)
+      })
+    }
+
+    it('resends an API v1 request on API error 901', async () => {
+      const client = newClient(bridge)
+      bridge.injectError({ type: 901 })
+      requests = []
+      assert.equal(await client.get('/lights/1/state/on'), false)
+      assert.equal(requests.length, 2)
+    })
+
+    it('resends a request that timed out', async () => {
+      const client = newClient(bridge)
+      bridge.injectError({ statusCode: 408 })
+      requests = []
+      await client.get('/config')
+      assert.equal(requests.length, 2)
+    })
+
+    it("doesn't resend a POST request, unless configured", async () => {
+      let client = newClient(bridge)
+      bridge.injectError({ code: 'ECONNRESET', method: 'POST' })
+      requests = []
+      await assert.rejects(client.post('/groups', { name: 'Test', lights: ['1'] }))
+      assert.equal(requests.length, 1)
+
+      client = newClient(bridge, {
+        retryPolicy: new HueClient.RetryPolicy({ retryPost: true })
+      })
+      bridge.injectError({ code: 'ECONNRESET', method: 'POST' })
+      requests = []
+      await client.post('/groups', { name: 'Test', lights: ['1'] })
+      assert.equal(requests.length, 2)
+    })
+
+    it('gives up after the maximum number of retries', async () => {
+      const client = newClient(bridge, {
+        retryPolicy: new HueClient.RetryPolicy({ baseDelay: 10, retries: 2 })
+      })
+      bridge.injectError({ statusCode: 503, count: 5 })
+      requests = []
+      await assert.rejects(client.get('/config'), { statusCode: 503 })
+      assert.equal(requests.length, 3)
+      bridge.errors = []
+    })
+
+    it('stops waiting to resend a request when aborted', async () => {
+      const client = newClient(bridge, {
+        retryPolicy: new HueClient.RetryPolicy({ baseDelay: 5000, maxDelay: 5000 })
+      })
+      client.on('error', () => {})
+      bridge.injectError({ statusCode: 503 })
+      const start = Date.now()
+      await assert.rejects(
+        client.get('/config', { signal: AbortSignal.timeout(100) }),
+        { name: 'TimeoutError' }
+      )
+      assert.ok(Date.now() - start < 2000)
+    })
+
+    it("doesn't resend a request on a permanent error", async () => {
+      const client = newClient(bridge)
+      bridge.injectError({ statusCode: 404 })
+      requests = []
+      await assert.rejects(client.get('/lights/1'), { statusCode: 404 })
+      assert.equal(requests.length, 1)
+    })
+  })
+
+  describe('EventStreamClient reconnects', () => {
+    it('re-opens the event stream when the bridge closes it', async () => {
+      const client = newClient(bridge)
+      const eventStream = new EventStreamClient(client, {
+        retryTime: 1, maxRetryTime: 1
+      })
+      eventStream.on('error', () => {})
+      await eventStream.init()
+      eventStream.listen()
+      await once(eventStream, 'listening')
+      bridge.closeEventStreams()
+      const [attempt] = await once(eventStream, 'reconnecting')
+      assert.equal(attempt, 1)
+      await once(eventStream, 'reconnected')
+      const changed = once(eventStream, 'changed')
+      bridge.update('light', '00000000-0000-4000-8000-000000000004', {
+        on: { on: true }
+      })
+      const [resource, attributes] = await changed
+      assert.equal(resource, '/lights/1/state')
+      assert.equal(attributes.on, true)
+      await eventStream.close()
+    })
+
+    it('retries when the bridge refuses the event stream', async () => {
+      const client = newClient(bridge)
+      const eventStream = new EventStreamClient(client, {
+        retryTime: 1, maxRetryTime: 1
+      })
+      const events = []
+      eventStream
+        .on('response', ({ statusCode }) => { events.push('response ' + statusCode) })
+        .on('error', (error) => { events.push('error ' + error.statusCode) })
+        .on('listening', () => { events.push('listening') })
+        .on('reconnecting', (attempt) => { events.push('reconnecting ' + attempt) })
+      await eventStream.init()
+      bridge.injectError({ statusCode: 503, path: '/eventstream', count: 2 })
+      const reconnected = new Promise((resolve) => {
+        eventStream.once('reconnected', resolve) // once() rejects on error
+      })
+      eventStream.listen()
+      assert.equal(await reconnected, 2)
+      assert.deepEqual(events, [
+        'response 503', 'error 503', 'reconnecting 1',
+        'response 503', 'error 503', 'reconnecting 2',
+        'response 200', 'listening'
+      ])
+      await eventStream.close()
+    })
+  })
+})
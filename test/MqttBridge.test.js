@@ -0,0 +1,151 @@
+// hb-hue-tools/test/MqttBridge.test.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Check the MQTT bridge against the mock Hue bridge and an in-process MQTT
+// broker.
+
+import { strict as assert } from 'node:assert'
+import { once } from 'node:events'
+import { createServer } from 'node:net'
+import { after, before, describe, it } from 'node:test'
+
+import { Aedes } from 'aedes'
+import mqtt from 'mqtt'
+
+import { HueClient } from 'hb-hue-tools/HueClient'
+import { MockHueBridge } from 'hb-hue-tools/MockHueBridge'
+import { MqttBridge } from 'hb-hue-tools/MqttBridge'
+
+const apiKey = 'test'
+const lightId = '00000000-0000-4000-8000-000000000004'
+const zigbeeId = '00000000-0000-4000-8000-000000000007'
+const topic = 'hue/001788FFFE000000'
+
+describe('MqttBridge', () => {
+  const bridge = new MockHueBridge({ apiKey })
+  let broker, server, url, mqttBridge, subscriber
+  const messages = []
+
+  // Wait for a message on topic, for which check returns true.
+  async function message (topic, check = () => true) {
+    const found = messages.find((message) => {
+      return message.topic === topic && check(message.payload)
+    })
+    if (found != null) {
+      return found.payload
+    }
+    return new Promise((resolve) => {
+      const onMessage = (t, payload) => {
+        if (t === topic && check(payload.toString())) {
+          subscriber.off('message', onMessage)
+          resolve(payload.toString())
+        }
+      }
+      subscriber.on('message', onMessage)
+    })
+  }
+
+  before(async () => {
+    await bridge.listen()
+    broker = await Aedes.createBroker()
+    server = createServer(broker.handle)
+    server.listen(0, '127.0.0.1')
+    await once(server, 'listening')
+    url = 'mqtt://127.0.0.1:' + server.address().port
+    subscriber = await mqtt.connectAsync(url)
+    subscriber.on('message', (topic, payload) => {
+      messages.push({ topic, payload: payload.toString() })
+    })
+    await subscriber.subscribeAsync(topic + '/#')
+    const client = new HueClient({
+      apiKey,
+      config: bridge.config,
+      forceHttp: true,
+      host: bridge.host,
+      waitTimePut: 0
+    })
+    mqttBridge = new MqttBridge(client, { url, retryTime: 1 })
+    mqttBridge.on('error', (error) => { assert.fail(error) })
+    await mqttBridge.connect()
+  })
+
+  after(async () => {
+    await mqttBridge.close()
+    await subscriber.endAsync()
+    await new Promise((resolve) => { broker.close(resolve) })
+    server.close()
+    await bridge.close()
+  })
+
+  it('publishes the online status', async () => {
+    await message(topic + '/status', (payload) => payload === 'online')
+  })
+
+  it('publishes the state of each resource', async () => {
+    const payload = await message(`${topic}/light/${lightId}/state`)
+    const data = JSON.parse(payload)
+    assert.equal(data.type, 'light')
+    assert.equal(data.on.on, false)
+    await message(`${topic}/zigbee_connectivity/${zigbeeId}/state`)
+  })
+
+  it('publishes a changed resource', async () => {
+    bridge.update('light', lightId, { on: { on: true } })
+    await message(`${topic}/light/${lightId}/state`, (payload) => {
+      return JSON.parse(payload).on.on === true
+    })
+  })
+
+  it('turns a set message into a PUT request', async () => {
+    const request = new Promise((resolve) => {
+      bridge.once('request', (method, path, body) => {
+        resolve({ method, path, body: JSON.parse(body) })
+      })
+    })
+    await subscriber.publishAsync(
+      `${topic}/light/${lightId}/set`, JSON.stringify({ dimming: { brightness: 50 } })
+    )
+    assert.deepEqual(await request, {
+      method: 'PUT',
+      path: '/clip/v2/resource/light/' + lightId,
+      body: { dimming: { brightness: 50 } }
+    })
+  })
+
+  it('clears the retained state of a deleted resource', async () => {
+    bridge.delete('zigbee_connectivity', zigbeeId)
+    await message(
+      `${topic}/zigbee_connectivity/${zigbeeId}/state`, (payload) => payload === ''
+    )
+  })
+
+  it('retains the state for new subscribers', async () => {
+    const client = await mqtt.connectAsync(url)
+    const payload = new Promise((resolve) => {
+      client.on('message', (t, payload) => {
+        if (t === `${topic}/light/${lightId}/state`) {
+          resolve(payload.toString())
+        }
+      })
+    })
+    await client.subscribeAsync(`${topic}/light/+/state`)
+    assert.equal(JSON.parse(await payload).id, lightId)
+    await client.endAsync()
+  })
+
+  it('has the broker publish the offline status on a lost connection', async () => {
+    messages.length = 0
+    mqttBridge.mqttClient.stream.destroy()
+    await message(topic + '/status', (payload) => payload === 'offline')
+    // The MQTT bridge reconnects to the broker.
+    await message(topic + '/status', (payload) => payload === 'online')
+  })
+
+  it('publishes the offline status when the Hue bridge closes the event stream', async () => {
+    messages.length = 0
+    bridge.closeEventStreams()
+    await message(topic + '/status', (payload) => payload === 'offline')
+  })
+})
@@ -0,0 +1,195 @@
+// hb-hue-tools/test/WebhookForwarder.test.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Check the webhook forwarder against a local HTTP receiver.
+
+import { strict as assert } from 'node:assert'
+import { createHmac } from 'node:crypto'
+import { once } from 'node:events'
+import { mkdtemp, readFile, rm } from 'node:fs/promises'
+import { createServer } from 'node:http'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test'
+
+import { EventStreamClient } from 'hb-hue-tools/EventStreamClient'
+import { WebhookForwarder } from 'hb-hue-tools/WebhookForwarder'
+
+describe('WebhookForwarder', () => {
+  let server, url, dir, queueFile, eventStream, forwarder
+  // Requests received, and HTTP status codes to respond with, per path.
+  let received, statusCodes
+
+  function newForwarder (params = {}) {
+    forwarder = new WebhookForwarder(eventStream, Object.assign({
+      queueFile,
+      retries: 1,
+      rules: [{ filter: '/light/*', url: url + '/hook' }]
+    }, params))
+    return forwarder
+  }
+
+  before(async () => {
+    server = createServer((request, response) => {
+      const chunks = []
+      request
+        .on('data', (chunk) => { chunks.push(chunk) })
+        .on('end', () => {
+          const body = Buffer.concat(chunks).toString()
+          received.push({
+            method: request.method,
+            path: request.url,
+            headers: request.headers,
+            body
+          })
+          response.statusCode = statusCodes[request.url]?.shift() ?? 204
+          response.end()
+        })
+    })
+    server.listen(0, '127.0.0.1')
+    await once(server, 'listening')
+    url = 'http://127.0.0.1:' + server.address().port
+    dir = await mkdtemp(join(tmpdir(), 'webhook-'))
+  })
+  after(async () => {
+    server.close()
+    await rm(dir, { recursive: true })
+  })
+
+  beforeEach(() => {
+    received = []
+    statusCodes = {}
+    queueFile = join(dir, 'queue-' + Math.random().toString(36).slice(2))
+    eventStream = new EventStreamClient(null, { version: 2 })
+  })
+  afterEach(async () => { await forwarder.close() })
+
+  it('sends matching events, with the expanded body template', async () => {
+    newForwarder({
+      rules: [{
+        filter: '/light/*',
+        events: ['changed'],
+        url: url + '/hook?x=1',
+        method: 'PUT',
+        headers: { Authorization: 'Bearer token' },
+        body: { light: '{{resource}}', on: '{{attributes.on.on}}', text: 'on={{attributes.on.on}}' }
+      }]
+    })
+    const delivered = once(forwarder, 'delivered')
+    eventStream.emit('changed', '/room/1', { on: { on: true } })
+    eventStream.emit('added', '/light/1', { type: 'light' })
+    eventStream.emit('changed', '/light/1', { on: { on: true } })
+    const [, statusCode] = await delivered
+    assert.equal(statusCode, 204)
+    assert.equal(received.length, 1)
+    assert.equal(received[0].method, 'PUT')
+    assert.equal(received[0].path, '/hook?x=1')
+    assert.equal(received[0].headers.authorization, 'Bearer token')
+    assert.deepEqual(JSON.parse(received[0].body), {
+      light: '/light/1', on: true, text: 'on=true'
+    })
+  })
+
+  it('signs the body', async () => {
+    newForwarder({ secret: 's3cr3t' })
+    const delivered = once(forwarder, 'delivered')
+    eventStream.emit('deleted', '/light/1')
+    await delivered
+    const { body, headers } = received[0]
+    assert.equal(JSON.parse(body).event, 'deleted')
+    assert.equal(
+      headers['x-hub-signature-256'],
+      'sha256=' + createHmac('sha256', 's3cr3t').update(body).digest('hex')
+    )
+  })
+
+  it('accepts any 2xx status', async () => {
+    statusCodes['/hook'] = [200, 201, 202]
+    newForwarder()
+    const codes = []
+    forwarder.on('delivered', (url, statusCode) => { codes.push(statusCode) })
+    forwarder.on('failed', (url, error) => { assert.fail(error) })
+    for (let i = 1; i <= 4; i++) {
+      eventStream.emit('changed', '/light/' + i, { on: { on: true } })
+    }
+    while (codes.length < 4) {
+      await once(forwarder, 'delivered')
+    }
+    assert.deepEqual(codes, [200, 201, 202, 204])
+  })
+
+  it('retries a request that failed', async () => {
+    statusCodes['/hook'] = [503]
+    newForwarder()
+    const failed = once(forwarder, 'failed')
+    const delivered = once(forwarder, 'delivered')
+    eventStream.emit('changed', '/light/1', { on: { on: true } })
+    const [, error] = await failed
+    assert.equal(error.statusCode, 503)
+    await delivered
+    assert.equal(received.length, 2)
+    assert.equal(received[0].body, received[1].body)
+  })
+
+  it('drops a request the webhook rejects', async () => {
+    statusCodes['/hook'] = [404]
+    newForwarder()
+    const dropped = once(forwarder, 'dropped')
+    const delivered = once(forwarder, 'delivered')
+    eventStream.emit('changed', '/light/1', { on: { on: true } })
+    eventStream.emit('changed', '/light/2', { on: { on: true } })
+    const [, error, delivery] = await dropped
+    assert.equal(error.statusCode, 404)
+    assert.equal(JSON.parse(delivery.body).resource, '/light/1')
+    const [, , next] = await delivered
+    assert.equal(JSON.parse(next.body).resource, '/light/2')
+    assert.equal(received.length, 2)
+  })
+
+  it('keeps the queue on disk while the webhook is down', async () => {
+    statusCodes['/hook'] = [503, 503, 503, 503]
+    newForwarder({ retries: 0, downTime: 60 })
+    const down = once(forwarder, 'down')
+    eventStream.emit('changed', '/light/1', { on: { on: true } })
+    eventStream.emit('changed', '/light/2', { on: { on: true } })
+    const [, queued] = await down
+    assert.equal(queued, 2)
+    await forwarder.close()
+    const lines = (await readFile(queueFile, 'utf8')).trim().split('\n')
+    assert.deepEqual(lines.map((line) => {
+      return JSON.parse(JSON.parse(line).body).resource
+    }), ['/light/1', '/light/2'])
+
+    // A new forwarder sends the queued requests.
+    statusCodes['/hook'] = []
+    received = []
+    newForwarder()
+    const codes = []
+    forwarder.on('delivered', (url, statusCode) => { codes.push(statusCode) })
+    await forwarder.init()
+    while (codes.length < 2) {
+      await once(forwarder, 'delivered')
+    }
+    assert.deepEqual(received.map((request) => {
+      return JSON.parse(request.body).resource
+    }), ['/light/1', '/light/2'])
+    assert.equal(forwarder.queue.length, 0)
+  })
+
+  it('drops the oldest request when the queue is full', async () => {
+    statusCodes['/hook'] = [503]
+    newForwarder({ maxQueue: 2, retries: 0, downTime: 60 })
+    const dropped = []
+    forwarder.on('dropped', (url, error, delivery) => {
+      dropped.push(JSON.parse(delivery.body).resource)
+    })
+    for (let i = 1; i <= 4; i++) {
+      eventStream.emit('changed', '/light/' + i, { on: { on: true } })
+    }
+    // /light/1 is being sent, so /light/2 and /light/3 are dropped.
+    assert.deepEqual(dropped, ['/light/2', '/light/3'])
+    assert.equal(forwarder.queue.length, 2)
+  })
+})
@@ -0,0 +1,87 @@
+// hb-hue-tools/test/ZigbeeTrafficModel.test.js
+//
+// Homebridge plug-in for Philips Hue.
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Check the Zigbee traffic estimates for API v1 and API v2 PUT requests.
+
+import { strict as assert } from 'node:assert'
+import { describe, it } from 'node:test'
+import { setImmediate } from 'node:timers/promises'
+
+import { ZigbeeTrafficModel } from 'hb-hue-tools/ZigbeeTrafficModel'
+
+describe('ZigbeeTrafficModel', () => {
+  it('estimates the messages for API v1 and API v2 bodies', () => {
+    assert.deepEqual(
+      ZigbeeTrafficModel.messages('/lights/1/state', { on: true, bri: 254, ct: 366 }),
+      { count: 3, broadcast: false }
+    )
+    assert.deepEqual(
+      ZigbeeTrafficModel.messages('/light/1', {
+        dimming: { brightness: 100 }, color: { xy: { x: 0.3, y: 0.3 } }, dynamics: { duration: 400 }
+      }),
+      { count: 2, broadcast: false }
+    )
+    assert.deepEqual(
+      ZigbeeTrafficModel.messages('/grouped_light/1', { on: { on: false } }),
+      { count: 1, broadcast: true }
+    )
+  })
+
+  it('returns the transition time', () => {
+    assert.equal(ZigbeeTrafficModel.transitionTime({ bri: 1, transitiontime: 4 }), 400)
+    assert.equal(ZigbeeTrafficModel.transitionTime({ dynamics: { duration: 250 } }), 250)
+    assert.equal(ZigbeeTrafficModel.transitionTime({ bri: 1 }), 0)
+  })
+
+  it('raises the priority of a waiting request', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] })
+    const model = new ZigbeeTrafficModel()
+    model.busyUntil = Date.now() + 50
+    const sent = []
+    const controller = new AbortController()
+    const promises = [
+      model.schedule('/lights/1/state', { on: true }, undefined, 'normal')
+        .then(() => { sent.push(1) }),
+      model.schedule('/lights/2/state', { on: true }, controller.signal, 'background')
+        .then(() => { sent.push(2) })
+    ]
+    model.raisePriority(controller.signal, 'interactive')
+    assert.deepEqual(model.queued, { interactive: 1, normal: 1, background: 0 })
+    // Lowering the priority is ignored.
+    model.raisePriority(controller.signal, 'background')
+    assert.deepEqual(model.queued, { interactive: 1, normal: 1, background: 0 })
+    t.mock.timers.tick(50)
+    await setImmediate()
+    assert.deepEqual(sent, [2])
+    t.mock.timers.tick(50)
+    await Promise.all(promises)
+    assert.deepEqual(sent, [2, 1])
+  })
+
+  it('counts the report at the end of a transition', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] })
+    const model = new ZigbeeTrafficModel({ unicastTime: 50 })
+    await model.schedule('/lights/1/state', { bri: 1, transitiontime: 1 })
+    assert.equal(model.reports.length, 1)
+    // The report is due after 100ms, keeping the network busy until 150ms.
+    t.mock.timers.tick(105)
+    let sent = false
+    const scheduled = model.schedule('/lights/2/state', { bri: 1 })
+      .then(() => { sent = true })
+    assert.equal(model.reports.length, 0)
+    t.mock.timers.tick(44)
+    await setImmediate()
+    assert.equal(sent, false, 'report not counted')
+    t.mock.timers.tick(1)
+    await scheduled
+    assert.equal(sent, true)
+  })
+
+  it('accepts a slower Zigbee network', () => {
+    const model = new ZigbeeTrafficModel({ broadcastTime: 2000, unicastTime: 100 })
+    assert.equal(model.time('/lights/1/state', { on: true, bri: 1 }), 200)
+    assert.equal(model.time('/groups/1/action', { on: true }), 2000)
+  })
+})